@@ -0,0 +1,44 @@
+/**
+ * Minimal PNG encoder for RGBA pixel arrays (Node only, uses zlib)
+ */
+
+import { deflateSync } from 'node:zlib'
+import { crc32 } from '../src/lib/crc32.js'
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4)
+  length.writeUInt32BE(data.length)
+
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data])
+  const crc = Buffer.alloc(4)
+  crc.writeUInt32BE(crc32(body))
+
+  return Buffer.concat([length, body, crc])
+}
+
+/**
+ * Encode RGBA pixels as a PNG file buffer
+ */
+export function encodePNG(pixels, width, height) {
+  const header = Buffer.alloc(13)
+  header.writeUInt32BE(width, 0)
+  header.writeUInt32BE(height, 4)
+  header[8] = 8 // bit depth
+  header[9] = 6 // color type: RGBA
+
+  // Each scanline starts with filter type 0 (none)
+  const stride = width * 4
+  const raw = Buffer.alloc((stride + 1) * height)
+  for (let y = 0; y < height; y++) {
+    raw.set(pixels.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1)
+  }
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ])
+}
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * Headless renderer: preset JSON -> PNG file or numbered frame sequence
+ *
+ * Runs the same typed-array pipeline as the browser app, layer by layer.
+ * Text and shape masks are drawn with a Node canvas package (the optional
+ * @napi-rs/canvas dependency, or canvas), loaded only when a layer needs it.
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises'
+import { basename, dirname, extname, resolve } from 'node:path'
+import { parseArgs } from 'node:util'
+import { parsePreset } from '../src/lib/presets.js'
+import { getFrameSettings, extractMask, renderComposition, getLayoutScale } from '../src/lib/pipeline.js'
+import { drawTextMask } from '../src/lib/text.js'
+import { drawShapeMask } from '../src/lib/shapes.js'
+import { getVisibleLayers } from '../src/lib/layers.js'
+import { getRotationRate, getExportTiming, MAX_EXPORT_DURATION } from '../src/lib/animation.js'
+import { getCanvasSize } from '../src/lib/sizes.js'
+import { encodePNG } from './png.js'
+
+const USAGE = `Usage: npm run render -- <preset.json> [options]
+
+Options:
+  -o, --out <file>       Output PNG (default: <preset name>.png)
+  -w, --width <px>       Output width (default: the preset's canvas size)
+  -h, --height <px>      Output height (default: keeps the canvas aspect ratio)
+  -d, --duration <s>     Render a sequence of this many seconds as <out>-0001.png, ...
+      --fps <n>          Frame rate of the sequence (default: 30)
+      --loop             Snap the sequence to whole animation cycles so it loops seamlessly
+      --font <file>      Register a TTF/OTF font (repeatable)
+      --help             Show this message`
+
+/**
+ * Load a 2D canvas implementation for drawing text masks
+ */
+async function loadCanvas() {
+  try {
+    const { createCanvas, GlobalFonts } = await import('@napi-rs/canvas')
+    return { createCanvas, registerFont: (path, family) => GlobalFonts.registerFromPath(path, family) }
+  } catch {}
+
+  try {
+    const { createCanvas, registerFont } = await import('canvas')
+    return { createCanvas, registerFont: (path, family) => registerFont(path, { family }) }
+  } catch {}
+
+  throw new Error('Text and shape masks need a Node canvas package: npm install @napi-rs/canvas')
+}
+
+function parseSize(value, name) {
+  const size = Number(value)
+  if (!Number.isInteger(size) || size < 1) {
+    throw new Error(`--${name} must be a positive whole number`)
+  }
+  return size
+}
+
+function frameName(out, index, count) {
+  if (count === 1) return out
+  const ext = extname(out)
+  const digits = Math.max(4, String(count).length)
+  return `${out.slice(0, out.length - ext.length)}-${String(index + 1).padStart(digits, '0')}${ext}`
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', short: 'o' },
+      width: { type: 'string', short: 'w' },
+      height: { type: 'string', short: 'h' },
+      duration: { type: 'string', short: 'd' },
+      fps: { type: 'string', default: '30' },
+      loop: { type: 'boolean' },
+      font: { type: 'string', multiple: true, default: [] },
+      help: { type: 'boolean' }
+    }
+  })
+
+  if (values.help || positionals.length !== 1) {
+    console.log(USAGE)
+    process.exitCode = values.help ? 0 : 1
+    return
+  }
+
+  const presetPath = resolve(positionals[0])
+  const preset = parsePreset(JSON.parse(await readFile(presetPath, 'utf8')))
+  const fps = parseSize(values.fps, 'fps')
+  const duration = Number(values.duration ?? 0)
+  if (!(duration >= 0)) throw new Error('--duration must be a number of seconds')
+  const out = resolve(values.out ?? basename(presetPath, extname(presetPath)) + '.png')
+
+  // Presets from before canvas sizes were added are square
+  const ctrl = { canvasSize: '1:1', ...preset.settings }
+  const canvas = getCanvasSize(ctrl)
+  const aspect = canvas.width / canvas.height
+  let width = canvas.width
+  let height = canvas.height
+  if (values.width) {
+    width = parseSize(values.width, 'width')
+    height = values.height ? parseSize(values.height, 'height') : Math.max(1, Math.round(width / aspect))
+  } else if (values.height) {
+    height = parseSize(values.height, 'height')
+    width = Math.max(1, Math.round(height * aspect))
+  }
+
+  // Without a duration only the preset's current frame is rendered
+  const { frames, rotationStep, loop } = duration > 0
+    ? getExportTiming({ duration, fps, rate: getRotationRate(ctrl), perfectLoop: values.loop })
+    : { frames: 1, rotationStep: 0 }
+  if (values.loop && duration > 0 && !loop) {
+    console.warn(`--loop: one animation cycle is longer than ${Math.max(duration, MAX_EXPORT_DURATION)}s, rendering ${duration}s as set`)
+  }
+  const scale = getLayoutScale(width, height)
+
+  const visible = getVisibleLayers(preset.layers).map(layer => ({
+    name: layer.name,
+    layerCtrl: { ...ctrl, ...layer.settings, numColors: layer.numColors }
+  }))
+
+  // Only text and shape layers are drawn on a canvas
+  let ctx = null
+  if (visible.some(({ layerCtrl }) => layerCtrl.layerType !== 'image' && layerCtrl.layerType !== 'full')) {
+    // Fonts are registered under their file name, like uploads in the app
+    const { createCanvas, registerFont } = await loadCanvas()
+    values.font.forEach(path => registerFont(resolve(path), basename(path, extname(path))))
+    ctx = createCanvas(width, height).getContext('2d')
+  }
+
+  // Masks don't animate, so draw them once for the whole sequence. Media
+  // and SVG files aren't saved in presets, which leaves those layers empty.
+  const layers = visible.map(({ name, layerCtrl }) => {
+    let mask
+
+    if (layerCtrl.layerType === 'image') {
+      console.warn(`${name}: image layers render empty without their media`)
+      mask = new Uint8Array(width * height)
+    } else if (layerCtrl.layerType === 'full') {
+      mask = new Uint8Array(width * height).fill(255)
+    } else {
+      if (layerCtrl.layerType === 'shape' && layerCtrl.shape === 'svg') {
+        console.warn(`${name}: SVG shapes render empty without their file`)
+      }
+      const drawMask = layerCtrl.layerType === 'shape' ? drawShapeMask : drawTextMask
+      drawMask(ctx, layerCtrl, width, height, scale)
+      mask = extractMask(ctx.getImageData(0, 0, width, height).data)
+    }
+
+    return { mask, settings: getFrameSettings(layerCtrl) }
+  })
+
+  // With every layer hidden only the background is left
+  if (!layers.length) {
+    const layerCtrl = { ...ctrl, ...preset.layers[0].settings, numColors: preset.layers[0].numColors }
+    layers.push({ mask: new Uint8Array(width * height), settings: getFrameSettings(layerCtrl) })
+  }
+
+  await mkdir(dirname(out), { recursive: true })
+
+  for (let i = 0; i < frames; i++) {
+    const rotation = preset.rotation + i * rotationStep
+    const pixels = renderComposition({ width, height, layers, rotation, scale })
+    const file = frameName(out, i, frames)
+    await writeFile(file, encodePNG(pixels, width, height))
+    console.log(`${file} (${i + 1}/${frames})`)
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message)
+  process.exitCode = 1
+})
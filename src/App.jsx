@@ -1,7 +1,30 @@
 import { useControls, folder, button, Leva } from 'leva'
-import { useState, useCallback, useRef } from 'react'
+import { useState, useCallback, useRef, useMemo, useEffect } from 'react'
 import Canvas from './components/Canvas'
-import { exportPNG, exportGIF, exportMP4 } from './lib/exporter'
+import PresetLibrary from './components/PresetLibrary'
+import LayerPanel from './components/LayerPanel'
+import { exportPNG, exportSVG, exportGIF, exportVideo, exportFrames, VIDEO_EXPORT_FORMATS, GIF_FPS, EncoderUnavailableError } from './lib/exporter'
+import { getRotationRate, getExportTiming, MAX_EXPORT_DURATION } from './lib/animation'
+import { getMinPixelSize } from './lib/pipeline'
+import { CANVAS_PRESETS, getCanvasSize } from './lib/sizes'
+import { PALETTES, PALETTE_DISTANCES } from './lib/palettes'
+import { DIFFUSION_ALGORITHMS, HALFTONE_ALGORITHMS, GRAIN_MODES } from './lib/dithering'
+import { BLUE_NOISE_SIZES } from './lib/bluenoise'
+import { GRADIENT_SPACES, GRADIENT_EASINGS } from './lib/gradients'
+import { pickFile, loadMediaFile, releaseMedia } from './lib/media'
+import { loadFontFile, FONT_FILE_TYPES } from './lib/fonts'
+import { SHAPES, loadSVGFile } from './lib/shapes'
+import { BLEND_MODES, LAYER_TYPES, createLayer, getLayerControls } from './lib/layers'
+import {
+  createPreset,
+  parsePreset,
+  encodePresetHash,
+  decodePresetHash,
+  createThumbnail,
+  loadLibrary,
+  addToLibrary,
+  removeFromLibrary
+} from './lib/presets'
 
 const DEFAULT_COLORS = {
   color1: '#ff6b6b', // Warm red
@@ -14,92 +37,551 @@ const DEFAULT_COLORS = {
   color8: '#2d98da', // Ocean blue
 }
 
+const GRADIENT_TYPES = ['radial', 'linear', 'conic', 'diamond', 'spiral', 'mesh', 'noise']
+
+const SYSTEM_FONTS = ['Impact', 'Arial Black', 'Georgia', 'Times New Roman', 'Courier New', 'Comic Sans MS']
+
+// Color, position and easing controls for each gradient stop.
+// Positions and per-segment easing only apply with custom stops.
+const stopControls = (numColors) => {
+  const stops = {}
+  Object.values(DEFAULT_COLORS).forEach((value, i) => {
+    const n = i + 1
+    stops[`color${n}`] = n <= 3 ? value : { value, render: () => numColors >= n }
+    stops[`position${n}`] = {
+      value: Math.min(1, i / (numColors - 1)),
+      min: 0,
+      max: 1,
+      step: 0.01,
+      render: (get) => numColors >= n && get('Gradient.stops') === 'custom',
+    }
+    stops[`ease${n}`] = {
+      value: 'linear',
+      options: GRADIENT_EASINGS,
+      render: (get) => numColors > n && get('Gradient.stops') === 'custom',
+    }
+  })
+  return stops
+}
+
+// Starting swatches for the custom palette editor
+const DEFAULT_SWATCHES = [
+  '#1a1c2c', '#5d275d', '#b13e53', '#ef7d57', '#ffcd75', '#a7f070', '#38b764', '#257179',
+  '#29366f', '#3b5dc9', '#41a6f6', '#73eff7', '#f4f4f4', '#94b0c2', '#566c86', '#333c57',
+]
+const MAX_SWATCHES = DEFAULT_SWATCHES.length
+
+// Pixel size slider step, in layout units
+const PIXEL_SIZE_STEP = 0.5
+
+// How a perfect loop sets the length of an animated export, for the
+// export overlay
+const describeLoop = ({ duration, fps, rate, perfectLoop }) => {
+  if (!perfectLoop || rate === 0) return ''
+  const timing = getExportTiming({ duration, fps, rate, perfectLoop })
+  return timing.loop
+    ? `Seamless loop: ${timing.duration.toFixed(1)}s`
+    : `Too slow to loop within ${MAX_EXPORT_DURATION}s, exporting ${duration}s as set`
+}
+
+// Which color reduction controls apply, for Leva render conditions
+const usesPalette = (get) => get('Dither.colorMode') === 'color' && get('Dither.palette') !== 'none'
+const usesLevels = (get) => !usesPalette(get)
+const usesChannelLevels = (get) => usesLevels(get) && get('Dither.colorMode') === 'color' && get('Dither.splitLevels')
+
+// Whether the active layer is one of the given built-in shapes
+const usesShape = (get, ...shapes) => get('Layer.layerType') === 'shape' && shapes.includes(get('Layer.shape'))
+
+const swatchControls = () => {
+  const swatches = {}
+  DEFAULT_SWATCHES.forEach((value, i) => {
+    swatches[`swatch${i + 1}`] = {
+      value,
+      render: (get) => usesPalette(get) && get('Dither.palette') === 'custom' && get('Dither.swatches') > i,
+    }
+  })
+  return swatches
+}
+
 function App() {
   const [numColors, setNumColors] = useState(3)
   const [exporting, setExporting] = useState(false)
   const [exportProgress, setExportProgress] = useState(0)
   const [exportStatus, setExportStatus] = useState('')
+  const [exportNote, setExportNote] = useState('')
+  const [layers, setLayers] = useState(() => [createLayer('Layer 1')])
+  const [activeLayerId, setActiveLayerId] = useState(() => layers[0].id)
+  const [customFonts, setCustomFonts] = useState([])
+  const [minPixelSize, setMinPixelSize] = useState(1)
+  const [library, setLibrary] = useState(loadLibrary)
   const canvasRef = useRef(null)
   const sketchRef = useRef(null)
+  // Latest control values for callbacks Leva holds on to (buttons)
+  const controlsRef = useRef(null)
+  const layersRef = useRef(layers)
+  const activeLayerIdRef = useRef(activeLayerId)
+  const exportAbortRef = useRef(null)
+
+  layersRef.current = layers
+  activeLayerIdRef.current = activeLayerId
+  const media = layers.find(layer => layer.id === activeLayerId).media
+  const activeIsBottom = layers[0].id === activeLayerId
+
+  const runExport = useCallback(async (format, signal) => {
+    // Leva returns flat controls, not nested in folders
+    const { exportScale, fps, duration, perfectLoop, gifLoops } = controlsRef.current
+    const rate = getRotationRate(controlsRef.current)
+
+    // Exports keep the document's aspect ratio at the chosen scale
+    const canvasSize = getCanvasSize(controlsRef.current)
+    const width = Math.max(1, Math.round(canvasSize.width * exportScale))
+    const height = Math.max(1, Math.round(canvasSize.height * exportScale))
+
+    if (format === 'png') {
+      setExportStatus('Capturing frame...')
+      await exportPNG(sketchRef.current, width, height)
+    } else if (format === 'svg') {
+      setExportStatus('Building SVG...')
+      const { pixelScale, svgMode, omitBackground, color, bgFill, transparent } = controlsRef.current
+      await exportSVG(sketchRef.current, width, height, {
+        pixelScale,
+        mode: svgMode,
+        // Transparent frames already leave the background out as alpha
+        background: !transparent && bgFill === 'solid' ? color : null,
+        omitBackground: omitBackground && !transparent
+      })
+    } else if (format === 'gif') {
+      setExportStatus('Creating GIF...')
+      setExportNote(describeLoop({ duration, fps: GIF_FPS, rate, perfectLoop }))
+      await exportGIF(sketchRef.current, width, height, { duration, rate, perfectLoop, loops: gifLoops, signal }, (p, s) => {
+        setExportProgress(p)
+        if (s) setExportStatus(s)
+      })
+    } else if (format === 'zip') {
+      setExportStatus('Rendering frames...')
+      setExportNote(describeLoop({ duration, fps, rate, perfectLoop }))
+      const { zipLayout } = controlsRef.current
+      await exportFrames(sketchRef.current, width, height, { fps, duration, rate, perfectLoop, layout: zipLayout, signal }, (p, s) => {
+        setExportProgress(p)
+        if (s) setExportStatus(s)
+      })
+    } else if (VIDEO_EXPORT_FORMATS.includes(format)) {
+      setExportStatus('Encoding...')
+      setExportNote(describeLoop({ duration, fps, rate, perfectLoop }))
+      const { quality, lossless, transparent } = controlsRef.current
+      await exportVideo(sketchRef.current, width, height, format, { fps, duration, rate, perfectLoop, quality, lossless, alpha: transparent, signal }, (p, s) => {
+        setExportProgress(p)
+        if (s) setExportStatus(s)
+      })
+    }
+  }, [])
 
   const handleExport = useCallback(async () => {
     if (!sketchRef.current) return
 
+    const controller = new AbortController()
+    exportAbortRef.current = controller
+    const { signal } = controller
+
     setExporting(true)
     setExportProgress(0)
+    setExportNote('')
 
     try {
-      const { format, resolution, fps, duration } = controls.Export
-      const width = resolution === '1080p' ? 1920 : 1280
-      const height = resolution === '1080p' ? 1080 : 720
-
-      if (format === 'png') {
-        setExportStatus('Capturing frame...')
-        await exportPNG(sketchRef.current, width, height)
-      } else if (format === 'gif') {
-        setExportStatus('Creating GIF...')
-        await exportGIF(sketchRef.current, width, height, duration, (p) => setExportProgress(p))
-      } else if (format === 'mp4') {
-        setExportStatus('Encoding MP4...')
-        await exportMP4(sketchRef.current, width, height, fps, duration, (p, s) => {
-          setExportProgress(p)
-          if (s) setExportStatus(s)
-        })
-      }
+      await runExport(controlsRef.current.format, signal)
     } catch (err) {
+      if (signal.aborted) return
       console.error('Export failed:', err)
-      alert('Export failed: ' + err.message)
+
+      // ffmpeg formats can still go out as a GIF, which needs no ffmpeg
+      if (err instanceof EncoderUnavailableError && confirm(`${err.message}.\n\nExport as GIF instead?`)) {
+        try {
+          setExportProgress(0)
+          await runExport('gif', signal)
+        } catch (gifErr) {
+          if (signal.aborted) return
+          console.error('Export failed:', gifErr)
+          alert('Export failed: ' + gifErr.message)
+        }
+      } else {
+        alert('Export failed: ' + err.message)
+      }
     } finally {
+      exportAbortRef.current = null
       setExporting(false)
     }
+  }, [runExport])
+
+  const handleCancelExport = useCallback(() => {
+    exportAbortRef.current?.abort()
+  }, [])
+
+  // Replace a file ('media' or 'svg') of the active layer, freeing the
+  // one it had before
+  const setLayerFile = useCallback((key, file) => {
+    const id = activeLayerIdRef.current
+    releaseMedia(layersRef.current.find(layer => layer.id === id)[key])
+    setLayers(layers => layers.map(layer => layer.id === id ? { ...layer, [key]: file } : layer))
   }, [])
 
-  const controls = useControls({
+  const setMedia = useCallback((media) => setLayerFile('media', media), [setLayerFile])
+
+  const handleLoadMedia = useCallback(async () => {
+    const file = await pickFile('image/*,video/*')
+    if (!file) return
+
+    try {
+      setMedia(await loadMediaFile(file))
+    } catch (err) {
+      console.error('Media load failed:', err)
+      alert('Media load failed: ' + err.message)
+    }
+  }, [setMedia])
+
+  // Loading an SVG makes it the active layer's shape
+  const handleLoadSVG = async () => {
+    const file = await pickFile('.svg,image/svg+xml')
+    if (!file) return
+
+    try {
+      setLayerFile('svg', await loadSVGFile(file))
+      set({ layerType: 'shape', shape: 'svg' })
+    } catch (err) {
+      console.error('SVG load failed:', err)
+      alert('SVG load failed: ' + err.message)
+    }
+  }
+
+  // Font family to select once its option exists in the Text folder
+  const pendingFontRef = useRef(null)
+
+  const handleLoadFont = useCallback(async () => {
+    const file = await pickFile(FONT_FILE_TYPES)
+    if (!file) return
+
+    try {
+      const family = await loadFontFile(file)
+      setCustomFonts(fonts => fonts.includes(family) ? fonts : [...fonts, family])
+      pendingFontRef.current = family
+    } catch (err) {
+      console.error('Font load failed:', err)
+      alert('Font load failed: ' + err.message)
+    }
+  }, [])
+
+  // Layers with the active one's live panel values written back
+  const syncLayers = () => layersRef.current.map(layer => (
+    layer.id === activeLayerIdRef.current ? { ...layer, controls: getLayerControls(controlsRef.current) } : layer
+  ))
+
+  // Load flat control values (with numColors) into the panel
+  const applyControls = (controls) => {
+    const known = controlsRef.current
+    const fonts = [...SYSTEM_FONTS, ...customFonts]
+    const values = {}
+
+    // Only restore controls that exist; skip fonts that aren't loaded here
+    Object.entries(controls).forEach(([key, value]) => {
+      if (key in known && key !== 'numColors') values[key] = value
+    })
+    if (!fonts.includes(values.fontFamily)) delete values.fontFamily
+
+    if (controls.numColors) setNumColors(controls.numColors)
+    set(values)
+  }
+
+  // Snapshot of everything needed to reproduce the current look
+  const currentPreset = () => createPreset(controlsRef.current, sketchRef.current?.getRotation() ?? 0, syncLayers())
+
+  const applyPreset = (preset) => {
+    layersRef.current.forEach((layer) => {
+      releaseMedia(layer.media)
+      releaseMedia(layer.svg)
+    })
+
+    const next = preset.layers.map(({ name, visible, solo, settings, numColors }) => (
+      createLayer(name, getLayerControls({ ...settings, numColors }), { visible, solo })
+    ))
+    const active = next[next.length - 1]
+
+    setLayers(next)
+    setActiveLayerId(active.id)
+    applyControls({ ...preset.settings, ...active.controls })
+    sketchRef.current?.setRotation(preset.rotation)
+  }
+
+  // Edit another layer: park the panel values in the active layer and
+  // load the chosen layer's values into the panel
+  const handleSelectLayer = (id) => {
+    if (id === activeLayerIdRef.current) return
+
+    const next = syncLayers()
+    setLayers(next)
+    setActiveLayerId(id)
+    applyControls(next.find(layer => layer.id === id).controls)
+  }
+
+  // New layers start as a copy of the active one, right above it
+  const handleDuplicateLayer = () => {
+    const next = syncLayers()
+    const index = next.findIndex(layer => layer.id === activeLayerIdRef.current)
+    const copy = createLayer(`Layer ${next.length + 1}`, next[index].controls)
+
+    setLayers([...next.slice(0, index + 1), copy, ...next.slice(index + 1)])
+    setActiveLayerId(copy.id)
+  }
+
+  const handleDeleteLayer = (id) => {
+    const current = layersRef.current
+    if (current.length === 1) return
+
+    const index = current.findIndex(layer => layer.id === id)
+    releaseMedia(current[index].media)
+    releaseMedia(current[index].svg)
+    const next = current.filter(layer => layer.id !== id)
+    setLayers(next)
+
+    // Deleting the active layer moves editing to its neighbour below
+    if (id === activeLayerIdRef.current) {
+      const neighbour = next[Math.max(0, index - 1)]
+      setActiveLayerId(neighbour.id)
+      applyControls(neighbour.controls)
+    }
+  }
+
+  // `direction` is +1 to move a layer up the stack, -1 to move it down
+  const handleMoveLayer = (id, direction) => {
+    const next = [...layersRef.current]
+    const index = next.findIndex(layer => layer.id === id)
+    const target = index + direction
+    if (target < 0 || target >= next.length) return
+
+    const [layer] = next.splice(index, 1)
+    next.splice(target, 0, layer)
+    setLayers(next)
+  }
+
+  const handleUpdateLayer = (id, changes) => {
+    setLayers(layers => layers.map(layer => layer.id === id ? { ...layer, ...changes } : layer))
+  }
+
+  const handleSavePresetFile = () => {
+    const json = JSON.stringify(currentPreset(), null, 2)
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }))
+    const link = document.createElement('a')
+    link.download = `gradient-dither-preset-${Date.now()}.json`
+    link.href = url
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const handleLoadPresetFile = async () => {
+    const file = await pickFile('.json,application/json')
+    if (!file) return
+
+    try {
+      applyPreset(parsePreset(JSON.parse(await file.text())))
+    } catch (err) {
+      console.error('Preset load failed:', err)
+      alert('Preset load failed: ' + err.message)
+    }
+  }
+
+  const handleShareLink = async () => {
+    const hash = encodePresetHash(currentPreset())
+    window.history.replaceState(null, '', hash)
+    try {
+      await navigator.clipboard.writeText(window.location.href)
+      alert('Share link copied to clipboard')
+    } catch {
+      prompt('Copy this share link:', window.location.href)
+    }
+  }
+
+  const handleSaveToLibrary = () => {
+    // Leva holds on to this closure, so count the library at click time
+    const name = controlsRef.current.presetName.trim() || `Preset ${loadLibrary().length + 1}`
+    try {
+      setLibrary(addToLibrary(name, currentPreset(), createThumbnail(sketchRef.current.canvas)))
+    } catch (err) {
+      alert(err.message)
+    }
+  }
+
+  const handleDeleteFromLibrary = (id) => {
+    setLibrary(removeFromLibrary(id))
+  }
+
+  const [controls, set] = useControls(() => ({
+    Canvas: folder({
+      canvasSize: { value: '1:1', options: [...Object.keys(CANVAS_PRESETS), 'custom'], label: 'size' },
+      canvasWidth: { value: 1080, min: 16, max: 8192, step: 1, label: 'width', render: (get) => get('Canvas.canvasSize') === 'custom' },
+      canvasHeight: { value: 1080, min: 16, max: 8192, step: 1, label: 'height', render: (get) => get('Canvas.canvasSize') === 'custom' },
+    }),
+    Layer: folder({
+      layerType: { value: 'text', options: LAYER_TYPES, label: 'content' },
+      shape: { value: 'circle', options: SHAPES, render: (get) => get('Layer.layerType') === 'shape' },
+      'Load SVG': button(() => handleLoadSVG()),
+      sides: { value: 5, min: 3, max: 16, step: 1, label: 'sides', render: (get) => usesShape(get, 'polygon', 'star') },
+      innerRadius: { value: 0.5, min: 0.1, max: 0.9, step: 0.01, label: 'inner radius', render: (get) => usesShape(get, 'star') },
+      corners: { value: 0.2, min: 0, max: 1, step: 0.01, label: 'corner radius', render: (get) => usesShape(get, 'rect') },
+      shapeScale: { value: 1, min: 0.1, max: 4, step: 0.01, label: 'scale', render: (get) => get('Layer.layerType') === 'shape' },
+      shapeRotation: { value: 0, min: -180, max: 180, step: 1, label: 'rotation', render: (get) => get('Layer.layerType') === 'shape' },
+      shapeX: { value: 0, min: -300, max: 300, step: 1, label: 'x', render: (get) => get('Layer.layerType') === 'shape' },
+      shapeY: { value: 0, min: -300, max: 300, step: 1, label: 'y', render: (get) => get('Layer.layerType') === 'shape' },
+      // The bottom layer is drawn straight over the background
+      blend: { value: 'normal', options: BLEND_MODES, render: () => !activeIsBottom },
+    }),
     Text: folder({
-      content: { value: 'DITHER', label: 'Text' },
+      content: { value: 'DITHER', label: 'Text', rows: true },
       fontSize: { value: 120, min: 20, max: 300, step: 10 },
-      fontFamily: { value: 'Impact', options: ['Impact', 'Arial Black', 'Georgia', 'Times New Roman', 'Courier New', 'Comic Sans MS'] },
+      fontFamily: { value: 'Impact', options: [...SYSTEM_FONTS, ...customFonts] },
+      'Load Font': button(() => handleLoadFont()),
+      align: { value: 'center', options: ['left', 'center', 'right'] },
+      tracking: { value: 0, min: -200, max: 1000, step: 10 },
+      leading: { value: 1.1, min: 0.5, max: 3, step: 0.05 },
+      offsetX: { value: 0, min: -300, max: 300, step: 1, label: 'offset x' },
+      offsetY: { value: 0, min: -300, max: 300, step: 1, label: 'offset y' },
+      maskMode: { value: 'fill', options: ['fill', 'inverted', 'outline'], label: 'mask' },
+      strokeWidth: { value: 4, min: 1, max: 40, step: 1, label: 'stroke', render: (get) => get('Text.maskMode') === 'outline' },
+      shadow: false,
+      shadowX: { value: 8, min: -100, max: 100, step: 1, label: 'shadow x', render: (get) => get('Text.shadow') },
+      shadowY: { value: 8, min: -100, max: 100, step: 1, label: 'shadow y', render: (get) => get('Text.shadow') },
+      shadowColor: { value: '#404040', label: 'shadow color', render: (get) => get('Text.shadow') },
     }),
     Gradient: folder({
-      type: { value: 'radial', options: ['radial', 'linear', 'conic'] },
-      color1: DEFAULT_COLORS.color1,
-      color2: DEFAULT_COLORS.color2,
-      color3: DEFAULT_COLORS.color3,
-      color4: { value: DEFAULT_COLORS.color4, render: (get) => numColors >= 4 },
-      color5: { value: DEFAULT_COLORS.color5, render: (get) => numColors >= 5 },
-      color6: { value: DEFAULT_COLORS.color6, render: (get) => numColors >= 6 },
-      color7: { value: DEFAULT_COLORS.color7, render: (get) => numColors >= 7 },
-      color8: { value: DEFAULT_COLORS.color8, render: (get) => numColors >= 8 },
+      type: { value: 'radial', options: GRADIENT_TYPES },
+      space: { value: 'srgb', options: GRADIENT_SPACES, label: 'blend space' },
+      stops: { value: 'even', options: ['even', 'custom'] },
+      ...stopControls(numColors),
       '+ Add Color': button(() => setNumColors(Math.min(numColors + 1, 8)), { disabled: numColors >= 8 }),
       '- Remove Color': button(() => setNumColors(Math.max(numColors - 1, 3)), { disabled: numColors <= 3 }),
       speed: { value: 1, min: 0, max: 5, step: 0.1 },
       playing: true,
     }),
     Dither: folder({
-      algorithm: { value: 'bayer', options: ['bayer', 'floyd-steinberg', 'atkinson', 'random'] },
+      algorithm: { value: 'bayer', options: ['bayer', 'blue-noise', ...DIFFUSION_ALGORITHMS, 'random', ...HALFTONE_ALGORITHMS] },
       strength: { value: 0.5, min: 0, max: 1, step: 0.01 },
-      size: { value: 4, min: 1, max: 16, step: 1 },
-      colorLevels: { value: 4, min: 2, max: 32, step: 1 },
+      size: { value: 4, min: minPixelSize, max: 16, step: PIXEL_SIZE_STEP, label: 'pixel size' },
+      matrixSize: { value: 4, options: [2, 4, 8, 16], label: 'matrix', render: (get) => get('Dither.algorithm') === 'bayer' },
+      noiseSize: { value: 64, options: BLUE_NOISE_SIZES, label: 'texture', render: (get) => get('Dither.algorithm') === 'blue-noise' },
+      cellSize: { value: 8, min: 3, max: 48, step: 1, label: 'cell size', render: (get) => HALFTONE_ALGORITHMS.includes(get('Dither.algorithm')) },
+      angle: { value: 45, min: 0, max: 180, step: 1, render: (get) => HALFTONE_ALGORITHMS.includes(get('Dither.algorithm')) },
+      channelAngles: { value: false, label: 'CMYK angles', render: (get) => HALFTONE_ALGORITHMS.includes(get('Dither.algorithm')) },
+      seed: { value: 1, min: 0, max: 9999, step: 1, render: (get) => get('Dither.algorithm') === 'random' },
+      grain: { value: 'locked', options: GRAIN_MODES, render: (get) => get('Dither.algorithm') === 'random' },
+      serpentine: { value: false, render: (get) => DIFFUSION_ALGORITHMS.includes(get('Dither.algorithm')) },
+      linear: { value: false, label: 'linear light' },
+      colorMode: { value: 'color', options: ['color', 'grayscale', '1-bit'], label: 'mode' },
+      ink: { value: '#000000', render: (get) => get('Dither.colorMode') !== 'color' },
+      paper: { value: '#ffffff', render: (get) => get('Dither.colorMode') !== 'color' },
+      colorLevels: { value: 4, min: 2, max: 32, step: 1, render: (get) => usesLevels(get) && get('Dither.colorMode') !== '1-bit' && !usesChannelLevels(get) },
+      splitLevels: { value: false, label: 'per channel', render: (get) => usesLevels(get) && get('Dither.colorMode') === 'color' },
+      levelsR: { value: 8, min: 2, max: 32, step: 1, label: 'R levels', render: (get) => usesChannelLevels(get) },
+      levelsG: { value: 8, min: 2, max: 32, step: 1, label: 'G levels', render: (get) => usesChannelLevels(get) },
+      levelsB: { value: 4, min: 2, max: 32, step: 1, label: 'B levels', render: (get) => usesChannelLevels(get) },
+      palette: { value: 'none', options: ['none', ...Object.keys(PALETTES), 'custom'], render: (get) => get('Dither.colorMode') === 'color' },
+      // Linear light matches palette colors in linear RGB instead
+      distance: { value: 'oklab', options: PALETTE_DISTANCES, render: (get) => usesPalette(get) && !get('Dither.linear') },
+      swatches: { value: 4, min: 2, max: MAX_SWATCHES, step: 1, render: (get) => usesPalette(get) && get('Dither.palette') === 'custom' },
+      ...swatchControls(),
+    }),
+    Media: folder({
+      'Load Image/Video': button(() => handleLoadMedia()),
+      'Clear Media': button(() => setMedia(null), { disabled: !media }),
+      // Image layers use the media as their mask; other layers can use it as the fill
+      mediaFill: { value: false, label: 'use as fill', render: (get) => get('Layer.layerType') !== 'image' },
+      maskChannel: { value: 'luminance', options: ['luminance', 'alpha'], label: 'mask from', render: (get) => get('Layer.layerType') === 'image' },
+      fit: { value: 'cover', options: ['cover', 'contain'] },
     }),
     Background: folder({
-      color: '#000000',
+      // Leaves the background out and keeps the text shape as alpha
+      transparent: false,
+      bgFill: { value: 'solid', options: ['solid', 'gradient'], label: 'fill', render: (get) => !get('Background.transparent') },
+      color: { value: '#000000', render: (get) => !get('Background.transparent') && get('Background.bgFill') === 'solid' },
+      bgType: { value: 'linear', options: GRADIENT_TYPES, label: 'type', render: (get) => !get('Background.transparent') && get('Background.bgFill') === 'gradient' },
+      bgColor1: { value: '#1a1c2c', label: 'from', render: (get) => !get('Background.transparent') && get('Background.bgFill') === 'gradient' },
+      bgColor2: { value: '#3b5dc9', label: 'to', render: (get) => !get('Background.transparent') && get('Background.bgFill') === 'gradient' },
     }),
+    Presets: folder({
+      'Save JSON': button(() => handleSavePresetFile()),
+      'Load JSON': button(() => handleLoadPresetFile()),
+      'Copy Share Link': button(() => handleShareLink()),
+      presetName: { value: '', label: 'name' },
+      'Save to Library': button(() => handleSaveToLibrary()),
+    }, { collapsed: true }),
     Export: folder({
-      format: { value: 'mp4', options: ['mp4', 'gif', 'png'] },
-      resolution: { value: '1080p', options: ['720p', '1080p'] },
+      format: { value: 'mp4', options: ['mp4', 'webm', 'webp', 'apng', 'gif', 'zip', 'png', 'svg'] },
+      zipLayout: { value: 'sequence', options: { 'PNG sequence': 'sequence', 'sprite sheet': 'spritesheet' }, label: 'zip contents', render: (get) => get('Export.format') === 'zip' },
+      pixelScale: { value: 4, min: 1, max: 16, step: 1, label: 'pixel scale', render: (get) => get('Export.format') === 'svg' },
+      svgMode: { value: 'paths', options: ['paths', 'rects'], label: 'svg shapes', render: (get) => get('Export.format') === 'svg' },
+      omitBackground: { value: false, label: 'omit bg', render: (get) => get('Export.format') === 'svg' && !get('Background.transparent') },
+      exportScale: { value: 1, options: { '50%': 0.5, '100%': 1, '200%': 2 }, label: 'scale' },
       fps: { value: 60, min: 24, max: 60, step: 1 },
-      duration: { value: 3, min: 1, max: 10, step: 0.5 },
+      duration: { value: 3, min: 1, max: MAX_EXPORT_DURATION, step: 0.5 },
+      // Snaps the duration to whole gradient cycles so the loop is seamless
+      perfectLoop: { value: true, label: 'perfect loop', render: (get) => ['gif', 'zip', ...VIDEO_EXPORT_FORMATS].includes(get('Export.format')) },
+      gifLoops: { value: 0, min: 0, max: 10, step: 1, label: 'plays (0 = ∞)', render: (get) => get('Export.format') === 'gif' },
+      quality: { value: 80, min: 0, max: 100, step: 1, render: (get) => VIDEO_EXPORT_FORMATS.includes(get('Export.format')) },
+      // WebM and WebP can keep every dither pixel exact
+      // (not transparent WebM, whose alpha format is chroma-subsampled)
+      lossless: { value: true, render: (get) => get('Export.format') === 'webp' || (get('Export.format') === 'webm' && !get('Background.transparent')) },
       'Export': button(() => handleExport()),
     }),
-  }, [numColors])
+  }), [numColors, media, customFonts, activeIsBottom, minPixelSize])
+
+  // Pixel sizes under one preview pixel render at that size anyway, so the
+  // slider starts at the first step that shows for this canvas
+  useEffect(() => {
+    const min = Math.ceil(getMinPixelSize(controls) / PIXEL_SIZE_STEP - 1e-9) * PIXEL_SIZE_STEP
+    setMinPixelSize(min)
+    if (controls.size < min) set({ size: min })
+  }, [controls.canvasSize, controls.canvasWidth, controls.canvasHeight])
+
+  useEffect(() => {
+    if (pendingFontRef.current) {
+      set({ fontFamily: pendingFontRef.current })
+      pendingFontRef.current = null
+    }
+  }, [customFonts])
+
+  // Hidden color inputs still report values, so pass the stop count along
+  const canvasControls = useMemo(() => ({ ...controls, numColors }), [controls, numColors])
+  controlsRef.current = canvasControls
+
+  // Restore a shared look from the URL once on load
+  useEffect(() => {
+    try {
+      const preset = decodePresetHash(window.location.hash)
+      if (preset) applyPreset(preset)
+    } catch (err) {
+      console.error('Invalid preset link:', err)
+    }
+  }, [])
 
   return (
     <div className="app">
       <Leva collapsed={false} />
       <div className="canvas-container" ref={canvasRef}>
-        <Canvas controls={controls} sketchRef={sketchRef} />
+        <Canvas controls={canvasControls} layers={layers} activeLayerId={activeLayerId} sketchRef={sketchRef} />
       </div>
 
+      <LayerPanel
+        layers={layers}
+        activeLayerId={activeLayerId}
+        onSelect={handleSelectLayer}
+        onDuplicate={handleDuplicateLayer}
+        onDelete={handleDeleteLayer}
+        onMove={handleMoveLayer}
+        onUpdate={handleUpdateLayer}
+      />
+
+      <PresetLibrary
+        presets={library}
+        onApply={(preset) => applyPreset(parsePreset(preset))}
+        onDelete={handleDeleteFromLibrary}
+      />
+
       {exporting && (
         <div className="export-overlay">
           <h2>{exportStatus}</h2>
@@ -110,6 +592,8 @@ function App() {
             />
           </div>
           <div className="progress-text">{Math.round(exportProgress * 100)}%</div>
+          {exportNote && <div className="export-note">{exportNote}</div>}
+          <button className="export-cancel" onClick={handleCancelExport}>Cancel</button>
         </div>
       )}
     </div>
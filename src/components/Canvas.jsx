@@ -1,11 +1,19 @@
 import { useEffect, useRef } from 'react'
 import p5 from 'p5'
-import { createRadialGradient, createLinearGradient, createConicGradient } from '../lib/gradients'
-import { applyDither } from '../lib/dithering'
-
-function Canvas({ controls, sketchRef }) {
+import { getFrameSettings, extractMask, getLayoutScale } from '../lib/pipeline'
+import { createRenderer } from '../lib/renderer'
+import { drawMedia, seekVideo } from '../lib/media'
+import { drawTextMask } from '../lib/text'
+import { drawShapeMask } from '../lib/shapes'
+import { getVisibleLayers } from '../lib/layers'
+import { getRotationRate } from '../lib/animation'
+import { getCanvasSize, getPreviewSize } from '../lib/sizes'
+
+function Canvas({ controls, layers, activeLayerId, sketchRef }) {
   const containerRef = useRef(null)
   const controlsRef = useRef(controls)
+  const layersRef = useRef(layers)
+  const activeLayerIdRef = useRef(activeLayerId)
   const rotationRef = useRef(0)
 
   // Keep controls ref updated
@@ -13,232 +21,232 @@ function Canvas({ controls, sketchRef }) {
     controlsRef.current = controls
   }, [controls])
 
+  useEffect(() => {
+    layersRef.current = layers
+    activeLayerIdRef.current = activeLayerId
+  }, [layers, activeLayerId])
+
   useEffect(() => {
     if (!containerRef.current) return
 
+    // Gradient, compositing and dithering run in a worker; p5 only draws
+    // the mask and media inputs and displays the latest finished frame
+    const renderer = createRenderer()
+
     const sketch = (p) => {
-      let gradientBuffer
       let maskBuffer
-      let compositeBuffer
+      let sourceBuffer
       let outputBuffer
-      const size = 600
+      let previewPending = false
+      let previewPaused = false
+      // Playback position of each video when an export paused it
+      const mediaStartTimes = new Map()
+      let previewWidth = 0
+      let previewHeight = 0
+
+      const createBuffer = (w, h) => {
+        const buffer = p.createGraphics(w, h)
+        buffer.pixelDensity(1)
+        return buffer
+      }
+
+      // Letterbox the preview to the document's aspect ratio, recreating
+      // the buffers whenever the document size changes
+      const fitPreview = (ctrl) => {
+        const { width, height } = getPreviewSize(getCanvasSize(ctrl))
+        if (width === previewWidth && height === previewHeight) return
+
+        previewWidth = width
+        previewHeight = height
+        p.resizeCanvas(width, height)
+        maskBuffer?.remove()
+        sourceBuffer?.remove()
+        outputBuffer?.remove()
+
+        // Buffer for layer masks (white on black)
+        maskBuffer = createBuffer(width, height)
+        // Buffer for an uploaded image/video used as the color source
+        sourceBuffer = createBuffer(width, height)
+        // Buffer for final output after dithering
+        outputBuffer = createBuffer(width, height)
+      }
 
       p.setup = () => {
-        p.createCanvas(size, size)
+        p.createCanvas(1, 1)
         p.pixelDensity(1)
+        fitPreview(controlsRef.current)
+      }
 
-        // Buffer for the gradient
-        gradientBuffer = p.createGraphics(size, size)
-        gradientBuffer.pixelDensity(1)
-
-        // Buffer for text mask (white text on black)
-        maskBuffer = p.createGraphics(size, size)
-        maskBuffer.pixelDensity(1)
-
-        // Buffer for compositing gradient with mask
-        compositeBuffer = p.createGraphics(size, size)
-        compositeBuffer.pixelDensity(1)
+      // Render a layer's mask and optional media source for a frame.
+      // Media is either the mask itself (image layers) or the fill.
+      // Text and shapes are drawn as vectors at the render size.
+      const renderInputs = (maskBuf, sourceBuf, ctrl, { media, svg }, w, h, scale) => {
+        let mask
+        let source
+
+        if (ctrl.layerType === 'image') {
+          maskBuf.clear()
+          if (media) drawMedia(maskBuf.drawingContext, media, w, h, ctrl.fit)
+          maskBuf.loadPixels()
+          mask = extractMask(maskBuf.pixels, ctrl.maskChannel)
+        } else if (ctrl.layerType === 'full') {
+          mask = new Uint8Array(w * h).fill(255)
+        } else {
+          if (ctrl.layerType === 'shape') drawShapeMask(maskBuf.drawingContext, ctrl, w, h, scale, svg)
+          else drawTextMask(maskBuf.drawingContext, ctrl, w, h, scale)
+          maskBuf.loadPixels()
+          mask = extractMask(maskBuf.pixels)
+        }
 
-        // Buffer for final output after dithering
-        outputBuffer = p.createGraphics(size, size)
-        outputBuffer.pixelDensity(1)
-      }
+        if (media && ctrl.mediaFill && ctrl.layerType !== 'image') {
+          sourceBuf.clear()
+          drawMedia(sourceBuf.drawingContext, media, w, h, ctrl.fit)
+          sourceBuf.loadPixels()
+          source = new Uint8ClampedArray(sourceBuf.pixels)
+        }
 
-      // Render text mask (white text on black background)
-      const renderTextMask = (buffer, content, fontSize, fontFamily, w, h) => {
-        buffer.background(0)
-        buffer.fill(255)
-        buffer.noStroke()
-        buffer.textFont(fontFamily)
-        buffer.textSize(fontSize)
-        buffer.textAlign(p.CENTER, p.CENTER)
-        buffer.text(content, w / 2, h / 2)
+        return { mask, source }
       }
 
-      // Composite gradient through text mask
-      const compositeGradientWithMask = (gradBuf, maskBuf, compBuf, bgColor) => {
-        gradBuf.loadPixels()
-        maskBuf.loadPixels()
-        compBuf.loadPixels()
+      // Controls of one layer: the active layer's values are live in the
+      // panel; the others come from their snapshots, on top of the shared
+      // composition values
+      const getLayerCtrl = (layer, ctrl) => (
+        layer.id === activeLayerIdRef.current ? ctrl : { ...ctrl, ...layer.controls }
+      )
 
-        // Parse background color
-        const bg = hexToRgb(bgColor)
+      // Inputs and settings for every rendered layer, bottom first
+      const renderLayers = (maskBuf, sourceBuf, ctrl, w, h, scale) => {
+        const visible = getVisibleLayers(layersRef.current)
 
-        for (let i = 0; i < gradBuf.pixels.length; i += 4) {
-          // Mask value (0-255, white = show gradient, black = show background)
-          const maskValue = maskBuf.pixels[i] / 255
-
-          // Blend gradient with background based on mask
-          compBuf.pixels[i] = Math.round(gradBuf.pixels[i] * maskValue + bg.r * (1 - maskValue))
-          compBuf.pixels[i + 1] = Math.round(gradBuf.pixels[i + 1] * maskValue + bg.g * (1 - maskValue))
-          compBuf.pixels[i + 2] = Math.round(gradBuf.pixels[i + 2] * maskValue + bg.b * (1 - maskValue))
-          compBuf.pixels[i + 3] = 255
+        // With every layer hidden only the background is left
+        if (!visible.length) {
+          return [{ mask: new Uint8Array(w * h), settings: getFrameSettings(ctrl) }]
         }
 
-        compBuf.updatePixels()
+        return visible.map((layer) => {
+          const layerCtrl = getLayerCtrl(layer, ctrl)
+          const { mask, source } = renderInputs(maskBuf, sourceBuf, layerCtrl, layer, w, h, scale)
+          return { mask, source, settings: getFrameSettings(layerCtrl) }
+        })
       }
 
-      // Helper to parse hex color
-      const hexToRgb = (hex) => {
-        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex)
-        return result ? {
-          r: parseInt(result[1], 16),
-          g: parseInt(result[2], 16),
-          b: parseInt(result[3], 16)
-        } : { r: 0, g: 0, b: 0 }
+      // Loaded videos across all layers
+      const getVideos = () => layersRef.current
+        .map(layer => layer.media)
+        .filter(media => media?.type === 'video')
+
+      // Copy worker output into a p5 graphics buffer
+      const writePixels = (buffer, pixels) => {
+        buffer.loadPixels()
+        buffer.pixels.set(pixels)
+        buffer.updatePixels()
       }
 
       p.draw = () => {
         const ctrl = controlsRef.current
         if (!ctrl) return
 
-        // Leva returns flat controls, not nested in folders
-        const content = ctrl.content
-        const fontSize = ctrl.fontSize
-        const fontFamily = ctrl.fontFamily
-        const gradientType = ctrl.type
-        const speed = ctrl.speed
-        const playing = ctrl.playing
-        const algorithm = ctrl.algorithm
-        const strength = ctrl.strength
-        const ditherSize = ctrl.size
-        const colorLevels = ctrl.colorLevels
-        const bgColor = ctrl.color
-
-        // Extract colors dynamically by checking which color properties exist
-        const colors = []
-        for (let i = 1; i <= 8; i++) {
-          if (ctrl[`color${i}`]) {
-            colors.push(ctrl[`color${i}`])
-          } else {
-            break
+        fitPreview(ctrl)
+
+        if (!previewPaused) {
+          // Advance rotation by elapsed time, so speed doesn't depend on
+          // frame rate (capped to skip the jump after a hidden tab)
+          rotationRef.current += getRotationRate(ctrl) * Math.min(p.deltaTime, 100) / 1000
+
+          // Only keep one preview frame in flight; skip ahead while the
+          // worker is busy rather than queueing stale frames
+          if (!previewPending) {
+            previewPending = true
+
+            const width = previewWidth
+            const height = previewHeight
+            const scale = getLayoutScale(width, height)
+            renderer.render({
+              width,
+              height,
+              layers: renderLayers(maskBuffer, sourceBuffer, ctrl, width, height, scale),
+              rotation: rotationRef.current,
+              scale
+            })
+              .then((pixels) => {
+                // Drop frames rendered before a document size change
+                if (width === previewWidth && height === previewHeight) {
+                  writePixels(outputBuffer, pixels)
+                }
+              })
+              .catch((err) => console.error('Preview render failed:', err))
+              .finally(() => { previewPending = false })
           }
         }
 
-        // Update rotation if playing
-        if (playing) {
-          rotationRef.current += speed * 0.02
-        }
-
-        // Step 1: Render gradient to buffer
-        gradientBuffer.background(0)
-
-        if (gradientType === 'radial') {
-          createRadialGradient(gradientBuffer, size / 2, size / 2, colors, rotationRef.current, size)
-        } else if (gradientType === 'linear') {
-          createLinearGradient(gradientBuffer, colors, rotationRef.current, size)
-        } else if (gradientType === 'conic') {
-          createConicGradient(gradientBuffer, size / 2, size / 2, colors, rotationRef.current, size)
-        }
-
-        // Step 2: Render text mask
-        renderTextMask(maskBuffer, content, fontSize, fontFamily, size, size)
-
-        // Step 3: Composite gradient through text mask
-        compositeGradientWithMask(gradientBuffer, maskBuffer, compositeBuffer, bgColor)
-
-        // Step 4: Apply dithering
-        compositeBuffer.loadPixels()
-        const ditheredPixels = applyDither(
-          compositeBuffer.pixels,
-          size,
-          size,
-          algorithm,
-          strength,
-          ditherSize,
-          colorLevels
-        )
-
-        // Step 5: Copy to output buffer
-        outputBuffer.loadPixels()
-        for (let i = 0; i < ditheredPixels.length; i++) {
-          outputBuffer.pixels[i] = ditheredPixels[i]
-        }
-        outputBuffer.updatePixels()
-
-        // Draw to main canvas
+        // Draw the latest finished frame (cleared first, as it may be transparent)
+        p.clear()
         p.image(outputBuffer, 0, 0)
       }
 
       // Expose render function for export at different resolutions
-      p.renderAtSize = (width, height) => {
-        const ctrl = controlsRef.current
-        if (!ctrl) return null
-
-        const content = ctrl.content
-        const fontSize = ctrl.fontSize
-        const fontFamily = ctrl.fontFamily
-        const gradientType = ctrl.type
-        const algorithm = ctrl.algorithm
-        const strength = ctrl.strength
-        const ditherSize = ctrl.size
-        const colorLevels = ctrl.colorLevels
-        const bgColor = ctrl.color
-
-        // Extract colors dynamically by checking which color properties exist
-        const colors = []
-        for (let i = 1; i <= 8; i++) {
-          if (ctrl[`color${i}`]) {
-            colors.push(ctrl[`color${i}`])
-          } else {
-            break
-          }
-        }
+      // Resolves with a p5 graphics buffer the caller must remove().
+      // `overrides` replace control values for this render only.
+      p.renderAtSize = async (width, height, overrides) => {
+        if (!controlsRef.current) return null
+        const ctrl = { ...controlsRef.current, ...overrides }
+
+        const scale = getLayoutScale(width, height)
 
-        // Create buffers at export size
-        const gradBuf = p.createGraphics(width, height)
-        gradBuf.pixelDensity(1)
+        // Render every layer's mask (at scaled size) and media at export size
         const maskBuf = p.createGraphics(width, height)
         maskBuf.pixelDensity(1)
+        const sourceBuf = p.createGraphics(width, height)
+        sourceBuf.pixelDensity(1)
+        const layers = renderLayers(maskBuf, sourceBuf, ctrl, width, height, scale)
+        maskBuf.remove()
+        sourceBuf.remove()
+
+        const pixels = await renderer.render({
+          width,
+          height,
+          layers,
+          rotation: rotationRef.current,
+          scale
+        })
+
         const compBuf = p.createGraphics(width, height)
         compBuf.pixelDensity(1)
+        writePixels(compBuf, pixels)
 
-        // Render gradient
-        if (gradientType === 'radial') {
-          createRadialGradient(gradBuf, width / 2, height / 2, colors, rotationRef.current, Math.max(width, height))
-        } else if (gradientType === 'linear') {
-          createLinearGradient(gradBuf, colors, rotationRef.current, Math.max(width, height))
-        } else if (gradientType === 'conic') {
-          createConicGradient(gradBuf, width / 2, height / 2, colors, rotationRef.current, Math.max(width, height))
-        }
+        return compBuf
+      }
 
-        // Render text mask at scaled font size
-        const scaledFontSize = fontSize * (Math.min(width, height) / size)
-        renderTextMask(maskBuf, content, scaledFontSize, fontFamily, width, height)
+      // Stop the preview from advancing and competing for the worker
+      // while an export drives the animation (and any videos)
+      p.setPreviewPaused = (paused) => {
+        previewPaused = paused
 
-        // Composite
-        compositeGradientWithMask(gradBuf, maskBuf, compBuf, bgColor)
+        getVideos().forEach(({ element }) => {
+          if (paused) {
+            element.pause()
+            mediaStartTimes.set(element, element.currentTime)
+          } else {
+            element.play().catch(() => {})
+          }
+        })
+      }
 
-        // Apply dithering
-        compBuf.loadPixels()
-        const ditheredPixels = applyDither(
-          compBuf.pixels,
-          width,
-          height,
-          algorithm,
-          strength,
-          ditherSize,
-          colorLevels
-        )
-
-        for (let i = 0; i < ditheredPixels.length; i++) {
-          compBuf.pixels[i] = ditheredPixels[i]
+      // Seek videos to `time` seconds after the export started, so every
+      // exported frame shows exactly the matching video frames
+      p.seekMedia = async (time) => {
+        for (const { element } of getVideos()) {
+          await seekVideo(element, (mediaStartTimes.get(element) ?? element.currentTime) + time)
         }
-        compBuf.updatePixels()
-
-        // Cleanup temp buffers
-        gradBuf.remove()
-        maskBuf.remove()
-
-        return compBuf
       }
 
-      // Expose step function for animation during export
-      p.stepAnimation = (delta) => {
+      // Dither pixel size (layout units) of every rendered layer
+      p.getDitherSizes = () => {
         const ctrl = controlsRef.current
-        if (ctrl?.playing) {
-          rotationRef.current += ctrl.speed * 0.02 * delta
-        }
+        const visible = getVisibleLayers(layersRef.current)
+        if (!visible.length) return [getFrameSettings(ctrl).ditherSize]
+        return visible.map(layer => getFrameSettings(getLayerCtrl(layer, ctrl)).ditherSize)
       }
 
       p.getRotation = () => rotationRef.current
@@ -250,10 +258,11 @@ function Canvas({ controls, sketchRef }) {
 
     return () => {
       p5Instance.remove()
+      renderer.terminate()
     }
   }, [])
 
-  return <div ref={containerRef} />
+  return <div className="canvas-stage" ref={containerRef} />
 }
 
 export default Canvas
@@ -0,0 +1,46 @@
+function LayerPanel({ layers, activeLayerId, onSelect, onDuplicate, onDelete, onMove, onUpdate }) {
+  // Listed top of the stack first, like in an image editor
+  const rows = layers.map((layer, index) => ({ layer, index })).reverse()
+
+  return (
+    <div className="layer-panel">
+      <div className="layer-header">
+        <span>Layers</span>
+        <button onClick={onDuplicate} title="Duplicate the selected layer">+</button>
+      </div>
+
+      {rows.map(({ layer, index }) => (
+        <div className={`layer-row${layer.id === activeLayerId ? ' active' : ''}`} key={layer.id}>
+          <button
+            className={`layer-toggle${layer.visible ? ' on' : ''}`}
+            onClick={() => onUpdate(layer.id, { visible: !layer.visible })}
+            title={layer.visible ? 'Hide' : 'Show'}
+          >
+            ●
+          </button>
+          <button
+            className={`layer-toggle${layer.solo ? ' on' : ''}`}
+            onClick={() => onUpdate(layer.id, { solo: !layer.solo })}
+            title="Solo"
+          >
+            S
+          </button>
+          <button className="layer-name" onClick={() => onSelect(layer.id)}>
+            {layer.name}
+          </button>
+          <button onClick={() => onMove(layer.id, 1)} disabled={index === layers.length - 1} aria-label={`Move ${layer.name} up`}>
+            ↑
+          </button>
+          <button onClick={() => onMove(layer.id, -1)} disabled={index === 0} aria-label={`Move ${layer.name} down`}>
+            ↓
+          </button>
+          <button onClick={() => onDelete(layer.id)} disabled={layers.length === 1} aria-label={`Delete ${layer.name}`}>
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default LayerPanel
@@ -0,0 +1,21 @@
+function PresetLibrary({ presets, onApply, onDelete }) {
+  if (!presets.length) return null
+
+  return (
+    <div className="preset-library">
+      {presets.map((entry) => (
+        <div className="preset-card" key={entry.id} title={entry.name}>
+          <button className="preset-thumb" onClick={() => onApply(entry.preset)}>
+            {entry.thumbnail && <img src={entry.thumbnail} alt={entry.name} />}
+          </button>
+          <div className="preset-name">{entry.name}</div>
+          <button className="preset-delete" onClick={() => onDelete(entry.id)} aria-label={`Delete ${entry.name}`}>
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default PresetLibrary
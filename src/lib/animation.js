@@ -0,0 +1,51 @@
+/**
+ * Time-based animation timing shared by the preview and exports
+ */
+
+// Gradient rotation in radians per second at speed 1
+export const ROTATION_SPEED = 1.2
+
+// Every gradient type (and drifting grain) repeats after one full turn
+export const ANIMATION_CYCLE = 2 * Math.PI
+
+/**
+ * Rotation rate in radians per second for the current controls
+ */
+export function getRotationRate(ctrl) {
+  return ctrl.playing ? ctrl.speed * ROTATION_SPEED : 0
+}
+
+// Longest duration the app offers, in seconds; perfect loops only snap
+// past it for longer requested durations
+export const MAX_EXPORT_DURATION = 10
+
+/**
+ * Frame count and per-frame rotation step for an animated export
+ * With `perfectLoop` the duration snaps to the nearest whole number of
+ * animation cycles (at least one) and the step is chosen so the frame
+ * after the last one is exactly the first, making the seam invisible.
+ * Loops aren't snapped longer than MAX_EXPORT_DURATION (or `duration`, if
+ * that's longer); when a single cycle is, the duration stays as set.
+ * `loop` tells whether the export loops seamlessly (a still gradient
+ * always does).
+ */
+export function getExportTiming({ duration, fps, rate, perfectLoop }) {
+  const cycleDuration = rate !== 0 ? ANIMATION_CYCLE / Math.abs(rate) : Infinity
+  const maxDuration = Math.max(duration, MAX_EXPORT_DURATION)
+
+  if (perfectLoop && cycleDuration <= maxDuration) {
+    const maxCycles = Math.floor(maxDuration / cycleDuration)
+    const cycles = Math.max(1, Math.min(maxCycles, Math.round(duration / cycleDuration)))
+    const frames = Math.max(2, Math.round(cycles * cycleDuration * fps))
+
+    return {
+      frames,
+      rotationStep: Math.sign(rate) * cycles * ANIMATION_CYCLE / frames,
+      duration: frames / fps,
+      loop: true
+    }
+  }
+
+  const frames = Math.max(1, Math.ceil(duration * fps))
+  return { frames, rotationStep: rate / fps, duration: frames / fps, loop: rate === 0 }
+}
@@ -0,0 +1,167 @@
+/**
+ * Blue-noise threshold maps generated with the void-and-cluster method
+ * (Ulichney 1993). Computed in-process and cached per size.
+ */
+
+import { createRandom } from './random.js'
+
+export const BLUE_NOISE_SIZES = [16, 32, 64, 128]
+
+// Fixed seed so the texture is identical across sessions and exports
+const SEED = 0x9e3779b9
+const SIGMA = 1.5
+const INITIAL_DENSITY = 0.1
+
+const cache = new Map()
+
+/**
+ * Gaussian energy falloff for every toroidal offset on a size x size tile
+ */
+function createEnergyKernel(size) {
+  const kernel = new Float32Array(size * size)
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      // Wrap distances so the texture tiles seamlessly
+      const dx = Math.min(x, size - x)
+      const dy = Math.min(y, size - y)
+      kernel[y * size + x] = Math.exp(-(dx * dx + dy * dy) / (2 * SIGMA * SIGMA))
+    }
+  }
+
+  return kernel
+}
+
+/**
+ * Add (sign = 1) or remove (sign = -1) one point's energy from the field.
+ * The Gaussian is negligible beyond a few sigma, so only a window is touched.
+ */
+function splat(energy, kernel, size, index, sign) {
+  const px = index % size
+  const py = Math.floor(index / size)
+  const radius = Math.min(Math.floor(size / 2), Math.ceil(SIGMA * 4))
+  // Don't visit a wrapped offset twice when the window spans the tile
+  const end = Math.min(radius, size - 1 - radius)
+
+  for (let oy = -radius; oy <= end; oy++) {
+    const y = (py + oy + size) % size
+    const ky = ((oy + size) % size) * size
+
+    for (let ox = -radius; ox <= end; ox++) {
+      const x = (px + ox + size) % size
+      energy[y * size + x] += sign * kernel[ky + ((ox + size) % size)]
+    }
+  }
+}
+
+/**
+ * Tightest cluster: the set pixel with the highest energy
+ */
+function findCluster(pattern, energy) {
+  let best = -1
+  let bestEnergy = -Infinity
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern[i] && energy[i] > bestEnergy) {
+      bestEnergy = energy[i]
+      best = i
+    }
+  }
+  return best
+}
+
+/**
+ * Largest void: the empty pixel with the lowest energy
+ */
+function findVoid(pattern, energy) {
+  let best = -1
+  let bestEnergy = Infinity
+  for (let i = 0; i < pattern.length; i++) {
+    if (!pattern[i] && energy[i] < bestEnergy) {
+      bestEnergy = energy[i]
+      best = i
+    }
+  }
+  return best
+}
+
+/**
+ * Generate a size x size void-and-cluster rank matrix (values 0..size²-1)
+ */
+function generateBlueNoiseMatrix(size) {
+  const count = size * size
+  const kernel = createEnergyKernel(size)
+  const random = createRandom(SEED + size)
+
+  // Initial binary pattern: sparse random points
+  const prototype = new Uint8Array(count)
+  const protoEnergy = new Float32Array(count)
+  let ones = 0
+  const target = Math.max(1, Math.floor(count * INITIAL_DENSITY))
+
+  while (ones < target) {
+    const i = Math.floor(random() * count)
+    if (prototype[i]) continue
+    prototype[i] = 1
+    splat(protoEnergy, kernel, size, i, 1)
+    ones++
+  }
+
+  // Relax the pattern by moving tightest clusters into largest voids.
+  // Converges well before the cap; the cap only guards against cycling.
+  for (let i = 0; i < count; i++) {
+    const cluster = findCluster(prototype, protoEnergy)
+    prototype[cluster] = 0
+    splat(protoEnergy, kernel, size, cluster, -1)
+
+    const voidIdx = findVoid(prototype, protoEnergy)
+    prototype[voidIdx] = 1
+    splat(protoEnergy, kernel, size, voidIdx, 1)
+
+    if (voidIdx === cluster) break
+  }
+
+  const ranks = new Uint32Array(count)
+
+  // Phase 1: remove clusters from the prototype, ranking downwards
+  const pattern = prototype.slice()
+  const energy = protoEnergy.slice()
+  for (let rank = ones - 1; rank >= 0; rank--) {
+    const cluster = findCluster(pattern, energy)
+    pattern[cluster] = 0
+    splat(energy, kernel, size, cluster, -1)
+    ranks[cluster] = rank
+  }
+
+  // Phases 2 and 3: fill voids from the prototype, ranking upwards.
+  // Filling the largest void of the minority 1s is equivalent to removing
+  // the tightest cluster of 0s once more than half the tile is set.
+  pattern.set(prototype)
+  energy.set(protoEnergy)
+  for (let rank = ones; rank < count; rank++) {
+    const voidIdx = findVoid(pattern, energy)
+    pattern[voidIdx] = 1
+    splat(energy, kernel, size, voidIdx, 1)
+    ranks[voidIdx] = rank
+  }
+
+  // Convert to rows to match the Bayer matrix layout
+  const matrix = []
+  for (let y = 0; y < size; y++) {
+    matrix[y] = Array.from(ranks.subarray(y * size, (y + 1) * size))
+  }
+
+  return matrix
+}
+
+/**
+ * Get the cached blue-noise threshold map closest to the requested size
+ */
+export function getBlueNoiseMatrix(size = 64) {
+  const actual = BLUE_NOISE_SIZES.find(s => s >= size) || BLUE_NOISE_SIZES[BLUE_NOISE_SIZES.length - 1]
+
+  if (!cache.has(actual)) {
+    cache.set(actual, { matrix: generateBlueNoiseMatrix(actual), size: actual, max: actual * actual })
+  }
+
+  return cache.get(actual)
+}
@@ -0,0 +1,112 @@
+/**
+ * Color parsing and color space conversions
+ */
+
+/**
+ * Parse hex color to RGB object
+ */
+export function hexToRgb(hex) {
+  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex)
+  return result ? {
+    r: parseInt(result[1], 16),
+    g: parseInt(result[2], 16),
+    b: parseInt(result[3], 16)
+  } : { r: 0, g: 0, b: 0 }
+}
+
+/**
+ * Convert an sRGB channel (0-255) to linear light (0-1)
+ */
+export function srgbToLinear(value) {
+  const c = value / 255
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4)
+}
+
+/**
+ * Convert a linear light channel (0-1) to sRGB (0-255)
+ */
+export function linearToSrgb(value) {
+  const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055
+  return c * 255
+}
+
+/**
+ * Convert sRGB (0-255) to OKLab
+ * https://bottosson.github.io/posts/oklab/
+ */
+export function rgbToOklab(r, g, b) {
+  const lr = srgbToLinear(r)
+  const lg = srgbToLinear(g)
+  const lb = srgbToLinear(b)
+
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb)
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb)
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb)
+
+  return {
+    L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  }
+}
+
+/**
+ * Convert OKLab to sRGB (0-255, unclamped)
+ */
+export function oklabToRgb(L, a, b) {
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3)
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3)
+  const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3)
+
+  return {
+    r: linearToSrgb(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+    g: linearToSrgb(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+    b: linearToSrgb(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)
+  }
+}
+
+/**
+ * Convert sRGB (0-255) to HSL (h in turns 0-1, s and l 0-1)
+ */
+export function rgbToHsl(r, g, b) {
+  r /= 255
+  g /= 255
+  b /= 255
+  const max = Math.max(r, g, b)
+  const min = Math.min(r, g, b)
+  const l = (max + min) / 2
+  const d = max - min
+
+  if (d === 0) return { h: 0, s: 0, l }
+
+  const s = d / (1 - Math.abs(2 * l - 1))
+  let h
+  if (max === r) h = ((g - b) / d) % 6
+  else if (max === g) h = (b - r) / d + 2
+  else h = (r - g) / d + 4
+
+  h /= 6
+  if (h < 0) h += 1
+
+  return { h, s, l }
+}
+
+/**
+ * Convert HSL (h in turns 0-1, s and l 0-1) to sRGB (0-255)
+ */
+export function hslToRgb(h, s, l) {
+  const c = (1 - Math.abs(2 * l - 1)) * s
+  const hp = (((h % 1) + 1) % 1) * 6
+  const x = c * (1 - Math.abs((hp % 2) - 1))
+  const m = l - c / 2
+
+  let r = 0, g = 0, b = 0
+  if (hp < 1) { r = c; g = x }
+  else if (hp < 2) { r = x; g = c }
+  else if (hp < 3) { g = c; b = x }
+  else if (hp < 4) { g = x; b = c }
+  else if (hp < 5) { r = x; b = c }
+  else { r = c; b = x }
+
+  return { r: (r + m) * 255, g: (g + m) * 255, b: (b + m) * 255 }
+}
@@ -2,6 +2,11 @@
  * Dithering algorithms with size control
  */
 
+import { createPaletteMatcher } from './palettes.js'
+import { hexToRgb, srgbToLinear, linearToSrgb } from './color.js'
+import { getBlueNoiseMatrix } from './bluenoise.js'
+import { createRandom, mixSeed } from './random.js'
+
 // Bayer matrices for ordered dithering
 const BAYER_2 = [
   [0, 2],
@@ -64,101 +69,290 @@ function quantize(value, levels) {
   return Math.round(Math.round(value / step) * step)
 }
 
+const clamp255 = (value) => Math.max(0, Math.min(255, value))
+
 /**
- * Bayer ordered dithering
+ * Nearest palette color by RGB distance in linear light (0-255)
+ * The cutoff between two colors then sits halfway in light, matching the
+ * linear thresholds and diffused error the algorithms add.
  */
-function bayerDither(pixels, width, height, strength, size, colorLevels) {
-  const output = new Uint8ClampedArray(pixels)
-  const { matrix, size: matrixSize, max } = getBayerMatrix(size)
+function createLinearPaletteQuantizer(palette) {
+  const entries = palette.map((hex) => {
+    const { r, g, b } = hexToRgb(hex)
+    return [srgbToLinear(r) * 255, srgbToLinear(g) * 255, srgbToLinear(b) * 255]
+  })
+
+  return (r, g, b, out) => {
+    let best = entries[0]
+    let bestDist = Infinity
+    for (const entry of entries) {
+      const dr = r - entry[0]
+      const dg = g - entry[1]
+      const db = b - entry[2]
+      const dist = dr * dr + dg * dg + db * db
+      if (dist < bestDist) {
+        bestDist = dist
+        best = entry
+      }
+    }
+    out[0] = best[0]
+    out[1] = best[1]
+    out[2] = best[2]
+  }
+}
 
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const idx = 4 * (y * width + x)
+/**
+ * Create the color reduction step shared by every algorithm.
+ * Writes the reduced color of (r, g, b) into `out` - either each channel
+ * quantized to its level count, or the nearest color of a fixed palette.
+ * In `linear` palette mode values are linear light (0-255) and are matched
+ * in linear RGB, so `distance` doesn't apply.
+ */
+function createQuantizer(levels, palette, distance, linear) {
+  if (palette && palette.length) {
+    if (linear) return createLinearPaletteQuantizer(palette)
+
+    const match = createPaletteMatcher(palette, distance)
+    return (r, g, b, out) => {
+      const color = match(r, g, b)
+      out[0] = color.r
+      out[1] = color.g
+      out[2] = color.b
+    }
+  }
+
+  return (r, g, b, out) => {
+    out[0] = quantize(clamp255(r), levels[0])
+    out[1] = quantize(clamp255(g), levels[1])
+    out[2] = quantize(clamp255(b), levels[2])
+  }
+}
+
+/**
+ * Re-space an sRGB value (0-255) so the range between two output levels is
+ * linear in light, while the levels themselves keep their sRGB positions.
+ * Thresholds and diffused error then mix neighboring levels in the right
+ * physical proportions, and quantized results are still exact sRGB levels.
+ */
+function toLinearLevels(value, levels) {
+  const step = 255 / (levels - 1)
+  const k = Math.min(levels - 2, Math.floor(value / step))
+  const lo = srgbToLinear(k * step)
+  const hi = srgbToLinear((k + 1) * step)
+
+  return (k + (srgbToLinear(value) - lo) / (hi - lo)) * step
+}
+
+/**
+ * Convert RGBA pixels into the float working buffer the algorithms dither
+ *
+ * - linear: interpolate between levels in linear light (see toLinearLevels),
+ *   or work in linear light outright when matching a palette
+ * - grayscale: dither luminance only, on all three channels alike
+ */
+function toWorkingSpace(pixels, { levels, palette, linear, grayscale }) {
+  const work = Float32Array.from(pixels)
+  if (!linear && !grayscale) return work
+
+  const usePalette = palette && palette.length && !grayscale
+
+  for (let i = 0; i < work.length; i += 4) {
+    if (grayscale) {
+      let y
+      if (linear) {
+        const lum = 0.2126 * srgbToLinear(work[i]) + 0.7152 * srgbToLinear(work[i + 1]) + 0.0722 * srgbToLinear(work[i + 2])
+        y = toLinearLevels(linearToSrgb(lum), levels[0])
+      } else {
+        y = 0.2126 * work[i] + 0.7152 * work[i + 1] + 0.0722 * work[i + 2]
+      }
+      work[i] = work[i + 1] = work[i + 2] = y
+    } else if (usePalette) {
+      for (let c = 0; c < 3; c++) work[i + c] = srgbToLinear(work[i + c]) * 255
+    } else {
+      for (let c = 0; c < 3; c++) work[i + c] = toLinearLevels(work[i + c], levels[c])
+    }
+  }
 
-      // Get threshold from Bayer matrix
-      const mx = x % matrixSize
-      const my = y % matrixSize
-      const threshold = (matrix[my][mx] / max - 0.5) * strength * 255
+  return work
+}
 
+/**
+ * Convert a dithered working buffer back to sRGB pixels
+ * In grayscale mode each gray level becomes a mix of the ink (darkest) and
+ * paper (lightest) colors, so 2 levels give pure 1-bit two-color output.
+ */
+function fromWorkingSpace(work, { palette, linear, grayscale, ink, paper }) {
+  const output = new Uint8ClampedArray(work.length)
+
+  if (grayscale) {
+    const from = hexToRgb(ink || '#000000')
+    const to = hexToRgb(paper || '#ffffff')
+    const inks = [[from.r, to.r], [from.g, to.g], [from.b, to.b]]
+
+    for (let i = 0; i < work.length; i += 4) {
+      // Levels sit at sRGB positions, so in linear mode their share of
+      // paper is their linear light
+      const t = linear ? srgbToLinear(work[i]) : work[i] / 255
       for (let c = 0; c < 3; c++) {
-        let value = pixels[idx + c] + threshold
-        value = Math.max(0, Math.min(255, value))
-        output[idx + c] = quantize(value, colorLevels)
+        const [a, b] = inks[c]
+        output[i + c] = linear
+          ? Math.round(linearToSrgb(srgbToLinear(a) * (1 - t) + srgbToLinear(b) * t))
+          : Math.round(a + (b - a) * t)
       }
+      output[i + 3] = work[i + 3]
     }
+    return output
+  }
+
+  const usePalette = palette && palette.length
+  for (let i = 0; i < work.length; i += 4) {
+    for (let c = 0; c < 3; c++) {
+      output[i + c] = linear && usePalette ? Math.round(linearToSrgb(work[i + c] / 255)) : work[i + c]
+    }
+    output[i + 3] = work[i + 3]
   }
 
   return output
 }
 
 /**
- * Floyd-Steinberg error diffusion dithering with scale
+ * Ordered dithering against a tiled threshold map
  */
-function floydSteinbergDither(pixels, width, height, strength, scale, colorLevels) {
-  // Downsample for chunky effect
-  const scaledWidth = Math.floor(width / scale)
-  const scaledHeight = Math.floor(height / scale)
-
-  // Create scaled down version
-  const scaled = new Float32Array(scaledWidth * scaledHeight * 4)
-
-  for (let y = 0; y < scaledHeight; y++) {
-    for (let x = 0; x < scaledWidth; x++) {
-      const srcX = x * scale
-      const srcY = y * scale
-      const srcIdx = 4 * (srcY * width + srcX)
-      const dstIdx = 4 * (y * scaledWidth + x)
+function orderedDither(pixels, width, height, strength, thresholdMap, quantizeColor) {
+  const output = pixels.slice()
+  const { matrix, size: matrixSize, max } = thresholdMap
+  const color = [0, 0, 0]
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = 4 * (y * width + x)
 
-      scaled[dstIdx] = pixels[srcIdx]
-      scaled[dstIdx + 1] = pixels[srcIdx + 1]
-      scaled[dstIdx + 2] = pixels[srcIdx + 2]
-      scaled[dstIdx + 3] = 255
+      // Get threshold from the map
+      const threshold = (matrix[y % matrixSize][x % matrixSize] / max - 0.5) * strength * 255
+
+      quantizeColor(
+        pixels[idx] + threshold,
+        pixels[idx + 1] + threshold,
+        pixels[idx + 2] + threshold,
+        color
+      )
+      output[idx] = color[0]
+      output[idx + 1] = color[1]
+      output[idx + 2] = color[2]
     }
   }
 
-  // Apply Floyd-Steinberg at scaled resolution
-  for (let y = 0; y < scaledHeight; y++) {
-    for (let x = 0; x < scaledWidth; x++) {
-      const idx = 4 * (y * scaledWidth + x)
+  return output
+}
 
-      for (let c = 0; c < 3; c++) {
-        const oldValue = scaled[idx + c]
-        const newValue = quantize(oldValue, colorLevels)
-        scaled[idx + c] = newValue
-
-        const error = (oldValue - newValue) * strength
-
-        // Distribute error to neighbors
-        if (x + 1 < scaledWidth) {
-          scaled[idx + 4 + c] += error * 7 / 16
-        }
-        if (y + 1 < scaledHeight) {
-          if (x > 0) {
-            scaled[idx + scaledWidth * 4 - 4 + c] += error * 3 / 16
-          }
-          scaled[idx + scaledWidth * 4 + c] += error * 5 / 16
-          if (x + 1 < scaledWidth) {
-            scaled[idx + scaledWidth * 4 + 4 + c] += error * 1 / 16
-          }
-        }
+/**
+ * Halftone spot functions
+ * Map a position inside a screen cell (u, v in -1..1) to a value in 0..1.
+ * High values switch on first, so low intensities grow a small spot at the
+ * cell center that spreads outwards as intensity rises. Only the order
+ * matters; getSpotRank turns it into thresholds.
+ */
+const HALFTONE_SPOTS = {
+  'halftone-dots': (u, v) => 1 - (u * u + v * v) / 2,
+  'halftone-lines': (u, v) => 1 - Math.abs(v),
+  'halftone-cross': (u, v) => 1 - Math.min(Math.abs(u), Math.abs(v)),
+  'halftone-ellipse': (u, v) => 1 - Math.sqrt((u * u + 2 * v * v) / 3),
+}
+
+export const HALFTONE_ALGORITHMS = Object.keys(HALFTONE_SPOTS)
+
+// Samples per cell side and bins used to tabulate a spot's distribution
+const SPOT_SAMPLES = 512
+const SPOT_BINS = 1024
+const spotRanks = new Map()
+
+/**
+ * A halftone spot mapped through its distribution over the cell
+ * Spot values aren't spread evenly (most of a round dot's cell sits near
+ * its corners), so each value becomes the share of the cell that ranks
+ * below it. Thresholds are then uniform: N% intensity turns on N% of
+ * every cell, whatever the spot shape.
+ */
+function getSpotRank(algorithm) {
+  if (!spotRanks.has(algorithm)) {
+    const spot = HALFTONE_SPOTS[algorithm]
+    const toBin = (u, v) => Math.min(Math.max(spot(u, v), 0), 1) * SPOT_BINS
+
+    const counts = new Float64Array(SPOT_BINS)
+    for (let j = 0; j < SPOT_SAMPLES; j++) {
+      for (let i = 0; i < SPOT_SAMPLES; i++) {
+        const u = 2 * (i + 0.5) / SPOT_SAMPLES - 1
+        const v = 2 * (j + 0.5) / SPOT_SAMPLES - 1
+        counts[Math.min(SPOT_BINS - 1, Math.floor(toBin(u, v)))]++
       }
     }
+
+    // below[b] is the share of the cell under bin b
+    const below = new Float64Array(SPOT_BINS + 1)
+    for (let b = 0; b < SPOT_BINS; b++) {
+      below[b + 1] = below[b] + counts[b] / (SPOT_SAMPLES * SPOT_SAMPLES)
+    }
+
+    spotRanks.set(algorithm, (u, v) => {
+      const x = toBin(u, v)
+      const b = Math.min(SPOT_BINS - 1, Math.floor(x))
+      return below[b] + (below[b + 1] - below[b]) * (x - b)
+    })
   }
 
-  // Upscale back with nearest neighbor
-  const output = new Uint8ClampedArray(pixels.length)
+  return spotRanks.get(algorithm)
+}
+
+// Classic CMYK screen angle offsets relative to the key (black) screen at 45deg.
+// Applied to R/G/B, the additive complements of C/M/Y.
+const CHANNEL_ANGLE_OFFSETS = [-30, 30, -45]
+
+/**
+ * Halftone screen dithering
+ * The screen is rotated by `angle` degrees; with channelAngles each RGB
+ * channel gets its own rotated screen to avoid moire, like a print press.
+ */
+function halftoneDither(pixels, width, height, strength, rank, cellSize, angle, channelAngles, quantizeColor) {
+  const output = pixels.slice()
+  const color = [0, 0, 0]
+  const thresholds = [0, 0, 0]
+
+  const screens = [0, 1, 2].map(c => {
+    const theta = (angle + (channelAngles ? CHANNEL_ANGLE_OFFSETS[c] : 0)) * Math.PI / 180
+    return { cos: Math.cos(theta) / cellSize, sin: Math.sin(theta) / cellSize }
+  })
+  const screenCount = channelAngles ? 3 : 1
 
   for (let y = 0; y < height; y++) {
     for (let x = 0; x < width; x++) {
-      const srcX = Math.min(Math.floor(x / scale), scaledWidth - 1)
-      const srcY = Math.min(Math.floor(y / scale), scaledHeight - 1)
-      const srcIdx = 4 * (srcY * scaledWidth + srcX)
-      const dstIdx = 4 * (y * width + x)
+      const idx = 4 * (y * width + x)
+
+      // Sample at the pixel center
+      const px = x + 0.5
+      const py = y + 0.5
+
+      for (let c = 0; c < screenCount; c++) {
+        // Rotate into screen space, then position within the cell (-1..1)
+        const { cos, sin } = screens[c]
+        const su = px * cos + py * sin
+        const sv = py * cos - px * sin
+        const u = 2 * (su - Math.floor(su)) - 1
+        const v = 2 * (sv - Math.floor(sv)) - 1
+        thresholds[c] = (rank(u, v) - 0.5) * strength * 255
+      }
+      if (screenCount === 1) {
+        thresholds[1] = thresholds[2] = thresholds[0]
+      }
 
-      output[dstIdx] = Math.max(0, Math.min(255, scaled[srcIdx]))
-      output[dstIdx + 1] = Math.max(0, Math.min(255, scaled[srcIdx + 1]))
-      output[dstIdx + 2] = Math.max(0, Math.min(255, scaled[srcIdx + 2]))
-      output[dstIdx + 3] = 255
+      quantizeColor(
+        pixels[idx] + thresholds[0],
+        pixels[idx + 1] + thresholds[1],
+        pixels[idx + 2] + thresholds[2],
+        color
+      )
+      output[idx] = color[0]
+      output[idx + 1] = color[1]
+      output[idx + 2] = color[2]
     }
   }
 
@@ -166,72 +360,128 @@ function floydSteinbergDither(pixels, width, height, strength, scale, colorLevel
 }
 
 /**
- * Atkinson dithering (Mac-style, preserves highlights)
+ * Error diffusion kernels
+ * Each entry is [dx, dy, weight] relative to the current pixel, scanning
+ * left to right. Weights are divided by `divisor`; kernels whose weights sum
+ * to less than the divisor (Atkinson) intentionally drop part of the error.
  */
-function atkinsonDither(pixels, width, height, strength, scale, colorLevels) {
-  const scaledWidth = Math.floor(width / scale)
-  const scaledHeight = Math.floor(height / scale)
+const DIFFUSION_KERNELS = {
+  'floyd-steinberg': {
+    divisor: 16,
+    offsets: [
+      [1, 0, 7],
+      [-1, 1, 3], [0, 1, 5], [1, 1, 1]
+    ]
+  },
+  // Mac-style, only distributes 6/8 of the error (preserves highlights/shadows)
+  'atkinson': {
+    divisor: 8,
+    offsets: [
+      [1, 0, 1], [2, 0, 1],
+      [-1, 1, 1], [0, 1, 1], [1, 1, 1],
+      [0, 2, 1]
+    ]
+  },
+  'jarvis-judice-ninke': {
+    divisor: 48,
+    offsets: [
+      [1, 0, 7], [2, 0, 5],
+      [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+      [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1]
+    ]
+  },
+  'stucki': {
+    divisor: 42,
+    offsets: [
+      [1, 0, 8], [2, 0, 4],
+      [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+      [-2, 2, 1], [-1, 2, 2], [0, 2, 4], [1, 2, 2], [2, 2, 1]
+    ]
+  },
+  'burkes': {
+    divisor: 32,
+    offsets: [
+      [1, 0, 8], [2, 0, 4],
+      [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2]
+    ]
+  },
+  'sierra': {
+    divisor: 32,
+    offsets: [
+      [1, 0, 5], [2, 0, 3],
+      [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+      [-1, 2, 2], [0, 2, 3], [1, 2, 2]
+    ]
+  },
+  'sierra-2': {
+    divisor: 16,
+    offsets: [
+      [1, 0, 4], [2, 0, 3],
+      [-2, 1, 1], [-1, 1, 2], [0, 1, 3], [1, 1, 2], [2, 1, 1]
+    ]
+  },
+  'sierra-lite': {
+    divisor: 4,
+    offsets: [
+      [1, 0, 2],
+      [-1, 1, 1], [0, 1, 1]
+    ]
+  },
+  'stevenson-arce': {
+    divisor: 200,
+    offsets: [
+      [2, 0, 32],
+      [-3, 1, 12], [-1, 1, 26], [1, 1, 30], [3, 1, 16],
+      [-2, 2, 12], [0, 2, 26], [2, 2, 12],
+      [-3, 3, 5], [-1, 3, 12], [1, 3, 12], [3, 3, 5]
+    ]
+  },
+}
 
-  const scaled = new Float32Array(scaledWidth * scaledHeight * 4)
+export const DIFFUSION_ALGORITHMS = Object.keys(DIFFUSION_KERNELS)
 
-  for (let y = 0; y < scaledHeight; y++) {
-    for (let x = 0; x < scaledWidth; x++) {
-      const srcX = x * scale
-      const srcY = y * scale
-      const srcIdx = 4 * (srcY * width + srcX)
-      const dstIdx = 4 * (y * scaledWidth + x)
+/**
+ * Point-sample an RGBA image onto a coarser grid (at each cell's center)
+ */
+function downsample(pixels, width, height, gridWidth, gridHeight) {
+  const grid = new Uint8ClampedArray(gridWidth * gridHeight * 4)
 
-      scaled[dstIdx] = pixels[srcIdx]
-      scaled[dstIdx + 1] = pixels[srcIdx + 1]
-      scaled[dstIdx + 2] = pixels[srcIdx + 2]
-      scaled[dstIdx + 3] = 255
-    }
-  }
+  for (let y = 0; y < gridHeight; y++) {
+    const srcY = Math.min(height - 1, Math.floor((y + 0.5) * height / gridHeight))
 
-  // Atkinson distributes only 3/4 of error (preserves highlights/shadows)
-  for (let y = 0; y < scaledHeight; y++) {
-    for (let x = 0; x < scaledWidth; x++) {
-      const idx = 4 * (y * scaledWidth + x)
+    for (let x = 0; x < gridWidth; x++) {
+      const srcX = Math.min(width - 1, Math.floor((x + 0.5) * width / gridWidth))
+      const srcIdx = 4 * (srcY * width + srcX)
+      const dstIdx = 4 * (y * gridWidth + x)
 
-      for (let c = 0; c < 3; c++) {
-        const oldValue = scaled[idx + c]
-        const newValue = quantize(oldValue, colorLevels)
-        scaled[idx + c] = newValue
-
-        // Atkinson only distributes 3/4 of error (6/8)
-        const error = (oldValue - newValue) * strength / 8
-
-        // Distribution pattern (each gets 1/8 of error)
-        if (x + 1 < scaledWidth) scaled[idx + 4 + c] += error
-        if (x + 2 < scaledWidth) scaled[idx + 8 + c] += error
-
-        if (y + 1 < scaledHeight) {
-          if (x > 0) scaled[idx + scaledWidth * 4 - 4 + c] += error
-          scaled[idx + scaledWidth * 4 + c] += error
-          if (x + 1 < scaledWidth) scaled[idx + scaledWidth * 4 + 4 + c] += error
-        }
-
-        if (y + 2 < scaledHeight) {
-          scaled[idx + scaledWidth * 8 + c] += error
-        }
-      }
+      grid[dstIdx] = pixels[srcIdx]
+      grid[dstIdx + 1] = pixels[srcIdx + 1]
+      grid[dstIdx + 2] = pixels[srcIdx + 2]
+      grid[dstIdx + 3] = pixels[srcIdx + 3]
     }
   }
 
-  // Upscale
-  const output = new Uint8ClampedArray(pixels.length)
+  return grid
+}
+
+/**
+ * Upscale a grid back to full size with nearest neighbor
+ */
+function upscale(grid, gridWidth, gridHeight, width, height) {
+  const output = new Uint8ClampedArray(width * height * 4)
 
   for (let y = 0; y < height; y++) {
+    const srcY = Math.min(gridHeight - 1, Math.floor(y * gridHeight / height))
+
     for (let x = 0; x < width; x++) {
-      const srcX = Math.min(Math.floor(x / scale), scaledWidth - 1)
-      const srcY = Math.min(Math.floor(y / scale), scaledHeight - 1)
-      const srcIdx = 4 * (srcY * scaledWidth + srcX)
+      const srcX = Math.min(gridWidth - 1, Math.floor(x * gridWidth / width))
+      const srcIdx = 4 * (srcY * gridWidth + srcX)
       const dstIdx = 4 * (y * width + x)
 
-      output[dstIdx] = Math.max(0, Math.min(255, scaled[srcIdx]))
-      output[dstIdx + 1] = Math.max(0, Math.min(255, scaled[srcIdx + 1]))
-      output[dstIdx + 2] = Math.max(0, Math.min(255, scaled[srcIdx + 2]))
-      output[dstIdx + 3] = 255
+      output[dstIdx] = grid[srcIdx]
+      output[dstIdx + 1] = grid[srcIdx + 1]
+      output[dstIdx + 2] = grid[srcIdx + 2]
+      output[dstIdx + 3] = grid[srcIdx + 3]
     }
   }
 
@@ -239,34 +489,97 @@ function atkinsonDither(pixels, width, height, strength, scale, colorLevels) {
 }
 
 /**
- * Random/noise dithering with grain size
+ * Generic error diffusion dithering
+ * Serpentine scanning alternates row direction (mirroring the kernel) to
+ * break up the directional "worm" artifacts of plain raster order.
  */
-function randomDither(pixels, width, height, strength, grainSize, colorLevels) {
-  const output = new Uint8ClampedArray(pixels)
+function errorDiffusionDither(pixels, width, height, strength, quantizeColor, kernel, serpentine) {
+  // Float copy so diffused error isn't clamped along the way
+  const buffer = pixels.slice()
+  const { divisor, offsets } = kernel
+  const color = [0, 0, 0]
+
+  for (let y = 0; y < height; y++) {
+    const reverse = serpentine && y % 2 === 1
+    const dir = reverse ? -1 : 1
+
+    for (let i = 0; i < width; i++) {
+      const x = reverse ? width - 1 - i : i
+      const idx = 4 * (y * width + x)
+
+      quantizeColor(buffer[idx], buffer[idx + 1], buffer[idx + 2], color)
+
+      const errR = (buffer[idx] - color[0]) * strength / divisor
+      const errG = (buffer[idx + 1] - color[1]) * strength / divisor
+      const errB = (buffer[idx + 2] - color[2]) * strength / divisor
+
+      buffer[idx] = color[0]
+      buffer[idx + 1] = color[1]
+      buffer[idx + 2] = color[2]
+
+      // Distribute error to neighbors
+      for (let k = 0; k < offsets.length; k++) {
+        const [dx, dy, weight] = offsets[k]
+        const nx = x + dx * dir
+        const ny = y + dy
+        if (nx < 0 || nx >= width || ny >= height) continue
+
+        const nIdx = 4 * (ny * width + nx)
+        buffer[nIdx] += errR * weight
+        buffer[nIdx + 1] += errG * weight
+        buffer[nIdx + 2] += errB * weight
+      }
+    }
+  }
+
+  return buffer
+}
+
+export const GRAIN_MODES = ['locked', 'drift', 'flicker']
+
+/**
+ * Random/noise dithering
+ * Noise is seeded so identical settings always reproduce the same frame.
+ * Grain modes control how the noise evolves with `time` (the rotation):
+ * - locked: the same grain every frame
+ * - drift: each grain cell slides smoothly through its value range, and
+ *   returns to its start after every full turn so loops stay seamless
+ * - flicker: a fresh (still reproducible) grain for every time value
+ */
+function randomDither(pixels, width, height, strength, quantizeColor, seed, grain, time) {
+  const output = pixels.slice()
+  const color = [0, 0, 0]
+  const noise = new Float32Array(width * height)
 
-  // Create noise at grain resolution
-  const noiseWidth = Math.ceil(width / grainSize)
-  const noiseHeight = Math.ceil(height / grainSize)
-  const noise = new Float32Array(noiseWidth * noiseHeight)
+  const random = createRandom(grain === 'flicker' ? mixSeed(seed, Math.round(time * 1e4)) : seed)
+  const phase = time / (2 * Math.PI)
 
   for (let i = 0; i < noise.length; i++) {
-    noise[i] = (Math.random() - 0.5) * strength * 255
+    let n = random()
+
+    if (grain === 'drift') {
+      // Triangle wave of a uniform phase stays uniformly distributed
+      const x = n + phase
+      n = 1 - Math.abs(2 * (x - Math.floor(x)) - 1)
+    }
+
+    noise[i] = (n - 0.5) * strength * 255
   }
 
   for (let y = 0; y < height; y++) {
     for (let x = 0; x < width; x++) {
       const idx = 4 * (y * width + x)
-
-      // Get noise value for this grain
-      const nx = Math.floor(x / grainSize)
-      const ny = Math.floor(y / grainSize)
-      const noiseVal = noise[ny * noiseWidth + nx]
-
-      for (let c = 0; c < 3; c++) {
-        let value = pixels[idx + c] + noiseVal
-        value = Math.max(0, Math.min(255, value))
-        output[idx + c] = quantize(value, colorLevels)
-      }
+      const noiseVal = noise[y * width + x]
+
+      quantizeColor(
+        pixels[idx] + noiseVal,
+        pixels[idx + 1] + noiseVal,
+        pixels[idx + 2] + noiseVal,
+        color
+      )
+      output[idx] = color[0]
+      output[idx + 1] = color[1]
+      output[idx + 2] = color[2]
     }
   }
 
@@ -274,19 +587,114 @@ function randomDither(pixels, width, height, strength, grainSize, colorLevels) {
 }
 
 /**
- * Main dithering function - dispatches to correct algorithm
+ * Dither a grid at one dither pixel per grid cell
  */
-export function applyDither(pixels, width, height, algorithm, strength, size, colorLevels) {
+function ditherGrid(pixels, width, height, algorithm, strength, quantizeColor, cellSize, options) {
   switch (algorithm) {
     case 'bayer':
-      return bayerDither(pixels, width, height, strength, size, colorLevels)
-    case 'floyd-steinberg':
-      return floydSteinbergDither(pixels, width, height, strength, Math.max(1, size), colorLevels)
-    case 'atkinson':
-      return atkinsonDither(pixels, width, height, strength, Math.max(1, size), colorLevels)
+      return orderedDither(pixels, width, height, strength, getBayerMatrix(options.matrixSize), quantizeColor)
+    case 'blue-noise':
+      return orderedDither(pixels, width, height, strength, getBlueNoiseMatrix(options.noiseSize), quantizeColor)
     case 'random':
-      return randomDither(pixels, width, height, strength, Math.max(1, size), colorLevels)
+      return randomDither(
+        pixels, width, height, strength, quantizeColor,
+        options.seed || 0, options.grain, options.time || 0
+      )
     default:
-      return new Uint8ClampedArray(pixels)
+      if (HALFTONE_SPOTS[algorithm]) {
+        return halftoneDither(
+          pixels, width, height, strength, getSpotRank(algorithm), cellSize,
+          options.angle || 0, options.channelAngles, quantizeColor
+        )
+      }
+      if (DIFFUSION_KERNELS[algorithm]) {
+        return errorDiffusionDither(
+          pixels, width, height, strength, quantizeColor,
+          DIFFUSION_KERNELS[algorithm], options.serpentine
+        )
+      }
+      return pixels.slice()
+  }
+}
+
+/**
+ * Dither the alpha channel down to fully opaque or fully transparent
+ * Alpha runs through the same algorithm as the colors, as a 2-level gray
+ * image, so edges get the same dither texture.
+ */
+function ditherAlpha(pixels, width, height, algorithm, strength, cellSize, options) {
+  const work = new Float32Array(pixels.length)
+  for (let i = 0; i < work.length; i += 4) {
+    work[i] = work[i + 1] = work[i + 2] = pixels[i + 3]
+    work[i + 3] = 255
+  }
+
+  const quantizeAlpha = createQuantizer([2, 2, 2])
+  const dithered = ditherGrid(work, width, height, algorithm, strength, quantizeAlpha, cellSize, { ...options, channelAngles: false })
+
+  const output = new Uint8ClampedArray(pixels)
+  for (let i = 0; i < output.length; i += 4) {
+    output[i + 3] = dithered[i]
+  }
+  return output
+}
+
+/**
+ * Main dithering function - dispatches to correct algorithm
+ * Every algorithm works on a grid of `pixelSize`-sized dither pixels (which
+ * may be fractional) that is upscaled back to full size, so the same grid
+ * fits any output resolution.
+ *
+ * options.palette  - list of hex colors to snap to instead of colorLevels
+ * options.channelLevels - separate [r, g, b] level counts instead of colorLevels
+ * options.linear - mix levels in linear light instead of sRGB values
+ * options.grayscale - dither luminance only, mapping gray levels from ink to paper
+ * options.ink / options.paper - darkest and lightest grayscale colors
+ * options.alpha - dither alpha to hard 1-bit edges instead of ignoring it
+ * options.distance - color distance used for palette matching ('rgb', 'redmean', 'oklab')
+ * options.serpentine - alternate scan direction per row for error diffusion
+ * options.matrixSize - Bayer matrix size (2, 4, 8 or 16)
+ * options.noiseSize - blue-noise texture size (16, 32, 64 or 128)
+ * options.cellSize - halftone screen cell size in pixels
+ * options.angle - halftone screen angle in degrees
+ * options.channelAngles - use separate CMYK-style screen angles per channel
+ * options.seed - random dither seed
+ * options.grain - how random grain evolves over time ('locked', 'drift', 'flicker')
+ * options.time - animation time (rotation) driving the grain
+ */
+export function applyDither(pixels, width, height, algorithm, strength, pixelSize, colorLevels, options = {}) {
+  const { linear, grayscale } = options
+  const palette = grayscale ? null : options.palette
+
+  // Per-channel level counts, or one count for every channel (and for gray)
+  const levels = options.channelLevels && !grayscale ? options.channelLevels : [colorLevels, colorLevels, colorLevels]
+  const space = { levels, palette, linear, grayscale, ink: options.ink, paper: options.paper }
+
+  const quantizeColor = createQuantizer(levels, palette, options.distance, linear)
+  const size = Math.max(1, pixelSize || 1)
+
+  // Halftone cells are measured in output pixels, so convert to grid cells;
+  // gray channels share one screen so they stay identical
+  const cellSize = Math.max(2, (options.cellSize || 8) / size)
+  const ditherOptions = grayscale ? { ...options, channelAngles: false } : options
+
+  const dither = (grid, gridWidth, gridHeight) => {
+    const output = fromWorkingSpace(
+      ditherGrid(toWorkingSpace(grid, space), gridWidth, gridHeight, algorithm, strength, quantizeColor, cellSize, ditherOptions),
+      space
+    )
+    if (!options.alpha) {
+      for (let i = 3; i < output.length; i += 4) output[i] = 255
+      return output
+    }
+    return ditherAlpha(output, gridWidth, gridHeight, algorithm, strength, cellSize, ditherOptions)
   }
+
+  if (size === 1) return dither(pixels, width, height)
+
+  const gridWidth = Math.max(1, Math.round(width / size))
+  const gridHeight = Math.max(1, Math.round(height / size))
+  const grid = downsample(pixels, width, height, gridWidth, gridHeight)
+
+  return upscale(dither(grid, gridWidth, gridHeight), gridWidth, gridHeight, width, height)
 }
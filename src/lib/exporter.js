@@ -1,54 +1,180 @@
 /**
- * Export functionality for PNG, GIF, and MP4
+ * Export functionality for PNG, SVG, GIF, ffmpeg-encoded animations
+ * (MP4, WebM, animated WebP and APNG) and ZIPs of frames
  */
 
 import { FFmpeg } from '@ffmpeg/ffmpeg'
-import { fetchFile, toBlobURL } from '@ffmpeg/util'
+// Encoders are bundled and served by the app itself, so exports work offline
+import ffmpegCoreURL from '@ffmpeg/core?url'
+import ffmpegWasmURL from '@ffmpeg/core/wasm?url'
+import gifWorkerURL from 'gif.js/dist/gif.worker.js?url'
+import { pixelsToSVG, sampleCells } from './svg.js'
+import { createZipWriter } from './zip.js'
+import { getExportTiming } from './animation.js'
+import { getLayoutScale } from './pipeline.js'
+
+// Give up on loading ffmpeg instead of waiting forever
+const FFMPEG_LOAD_TIMEOUT = 60000
 
-let ffmpegInstance = null
-let ffmpegLoading = false
+/**
+ * Thrown when an encoder can't be loaded, so the caller can offer
+ * another format instead
+ */
+export class EncoderUnavailableError extends Error {
+  constructor(encoder, cause) {
+    super(`The ${encoder} encoder could not be loaded${cause ? ` (${cause.message})` : ''}`)
+    this.name = 'EncoderUnavailableError'
+    this.encoder = encoder
+  }
+}
+
+// GIFs are always exported at this frame rate
+export const GIF_FPS = 30
+
+// Frames kept in ffmpeg's in-memory FS before a chunk is encoded
+const VIDEO_CHUNK_FRAMES = 60
+
+// Raw frame memory an export may hold when its encoder needs every frame
+// before encoding (GIF, animated WebP and APNG)
+const FRAME_MEMORY_LIMIT = 1024 * 1024 * 1024
+
+// Largest canvas browsers reliably allocate, for sprite sheets
+const MAX_CANVAS_EDGE = 16384
+const MAX_CANVAS_AREA = 16384 * 16384
+
+let ffmpegPromise = null
+let ffmpegProgress = null
 
 /**
  * Get or create FFmpeg instance (lazy loaded)
+ * Concurrent callers share one load; a failed load is retried next time.
  */
 async function getFFmpeg(onProgress) {
-  if (ffmpegInstance) return ffmpegInstance
-
-  if (ffmpegLoading) {
-    // Wait for existing load
-    while (ffmpegLoading) {
-      await new Promise(r => setTimeout(r, 100))
-    }
-    return ffmpegInstance
+  if (!ffmpegPromise) {
+    onProgress?.(0, 'Loading FFmpeg...')
+    ffmpegPromise = loadFFmpeg().catch((err) => {
+      ffmpegPromise = null
+      throw new EncoderUnavailableError('ffmpeg', err)
+    })
   }
 
-  ffmpegLoading = true
-  onProgress?.(0, 'Loading FFmpeg...')
+  return ffmpegPromise
+}
 
+async function loadFFmpeg() {
   const ffmpeg = new FFmpeg()
 
+  // Report encoding progress to whichever export is running
   ffmpeg.on('progress', ({ progress }) => {
-    onProgress?.(progress, 'Encoding...')
+    ffmpegProgress?.(Math.min(1, Math.max(0, progress)))
   })
 
-  // Load ffmpeg core
-  const baseURL = 'https://unpkg.com/@ffmpeg/core@0.12.6/dist/umd'
-  await ffmpeg.load({
-    coreURL: await toBlobURL(`${baseURL}/ffmpeg-core.js`, 'text/javascript'),
-    wasmURL: await toBlobURL(`${baseURL}/ffmpeg-core.wasm`, 'application/wasm'),
+  let timer
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('timed out')), FFMPEG_LOAD_TIMEOUT)
   })
 
-  ffmpegInstance = ffmpeg
-  ffmpegLoading = false
+  try {
+    await Promise.race([
+      ffmpeg.load({ coreURL: ffmpegCoreURL, wasmURL: ffmpegWasmURL }),
+      timeout
+    ])
+  } catch (err) {
+    ffmpeg.terminate()
+    throw err
+  } finally {
+    clearTimeout(timer)
+  }
 
   return ffmpeg
 }
 
+/**
+ * Drop the ffmpeg instance, stopping any running job (reloaded on next use)
+ */
+async function resetFFmpeg() {
+  const pending = ffmpegPromise
+  ffmpegPromise = null
+  const ffmpeg = await pending?.catch(() => null)
+  ffmpeg?.terminate()
+}
+
+/**
+ * Refuse an export up front if all its frames won't fit FRAME_MEMORY_LIMIT
+ */
+function checkFrameMemory(label, frames, width, height) {
+  const bytes = frames * width * height * 4
+  if (bytes > FRAME_MEMORY_LIMIT) {
+    throw new Error(
+      `This ${label} needs about ${Math.round(bytes / 1024 / 1024)} MB of memory. ` +
+      'Lower the scale or duration, or export WebM instead.'
+    )
+  }
+}
+
+const formatTime = (seconds) => {
+  const s = Math.max(0, Math.round(seconds))
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`
+}
+
+/**
+ * Render every animation frame at export size and hand it to `onFrame`
+ * The preview is paused throughout and always restored. `signal` is checked
+ * between frames, and progress reports frames/sec and an ETA. `overrides`
+ * replace control values for the export (e.g. no transparency).
+ */
+async function captureFrames(sketch, width, height, { frames, fps, rotationStep, signal, overrides }, onFrame, onProgress) {
+  const startRotation = sketch.getRotation()
+  const startTime = performance.now()
+  sketch.setPreviewPaused(true)
+
+  try {
+    for (let i = 0; i < frames; i++) {
+      signal?.throwIfAborted()
+
+      sketch.setRotation(startRotation + i * rotationStep)
+      await sketch.seekMedia(i / fps)
+      const buffer = await sketch.renderAtSize(width, height, overrides)
+      if (!buffer) throw new Error('Failed to render frame')
+
+      try {
+        await onFrame(buffer.canvas || buffer.elt, i)
+      } finally {
+        buffer.remove()
+      }
+
+      const framesPerSecond = (i + 1) / ((performance.now() - startTime) / 1000)
+      const eta = (frames - i - 1) / framesPerSecond
+      onProgress?.(
+        (i + 1) / frames,
+        `Frame ${i + 1}/${frames} · ${framesPerSecond.toFixed(1)} fps · ${formatTime(eta)} left`
+      )
+    }
+  } finally {
+    sketch.setRotation(startRotation)
+    sketch.setPreviewPaused(false)
+  }
+}
+
+const canvasToPNG = async (canvas) => {
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'))
+  return new Uint8Array(await blob.arrayBuffer())
+}
+
+const download = (blob, ext) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.download = `gradient-dither-${Date.now()}.${ext}`
+  link.href = url
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
 /**
  * Export single frame as PNG
  */
 export async function exportPNG(sketch, width, height) {
-  const buffer = sketch.renderAtSize(width, height)
+  const buffer = await sketch.renderAtSize(width, height)
   if (!buffer) throw new Error('Failed to render frame')
 
   // Get canvas from p5 graphics
@@ -65,141 +191,350 @@ export async function exportPNG(sketch, width, height) {
 }
 
 /**
- * Export animation as GIF
+ * Export single frame as SVG
+ * The frame is rendered at export size and every dither cell becomes one
+ * rect, on the same grid the dithering used, so the SVG matches the PNG.
+ * Each cell is `pixelScale` units wide in the SVG. Layers with different
+ * pixel sizes have grids that don't line up, so then every output pixel
+ * becomes a cell instead, scaled so the finest layer's cells still come
+ * out `pixelScale` wide.
+ *
+ * Background cells are the ones a transparent render leaves empty. A solid
+ * `background` color becomes one rect under the cells; `omitBackground`
+ * leaves those cells out instead. Other backgrounds (gradients) keep their
+ * cells unless omitted.
  */
-export async function exportGIF(sketch, width, height, duration, onProgress) {
-  // Dynamic import gif.js (it's a bit quirky with ESM)
-  const GIF = (await import('gif.js')).default
-
-  return new Promise((resolve, reject) => {
-    const gif = new GIF({
-      workers: 2,
-      quality: 10,
-      width,
-      height,
-      workerScript: 'https://unpkg.com/gif.js@0.2.0/dist/gif.worker.js'
-    })
+export async function exportSVG(sketch, width, height, { pixelScale, mode, background, omitBackground }) {
+  const sizes = sketch.getDitherSizes()
+  const shared = sizes.every(size => size === sizes[0])
+
+  // Same grid as applyDither for this size, or the pixels for mixed grids
+  const cell = Math.max(1, Math.min(...sizes) * getLayoutScale(width, height))
+  const gridWidth = shared ? Math.max(1, Math.round(width / cell)) : width
+  const gridHeight = shared ? Math.max(1, Math.round(height / cell)) : height
+  const unit = shared ? pixelScale : pixelScale / cell
+
+  const renderGrid = async (overrides) => {
+    const buffer = await sketch.renderAtSize(width, height, overrides)
+    if (!buffer) throw new Error('Failed to render frame')
+    buffer.loadPixels()
+    const grid = sampleCells(buffer.pixels, width, height, gridWidth, gridHeight)
+    buffer.remove()
+    return grid
+  }
 
-    const fps = 30
-    const totalFrames = Math.ceil(duration * fps)
-    const frameDelay = 1000 / fps
+  const grid = await renderGrid()
 
-    // Save current rotation to restore after
-    const startRotation = sketch.getRotation()
+  if (background || omitBackground) {
+    const coverage = await renderGrid({ transparent: true })
+    for (let i = 3; i < grid.length; i += 4) {
+      if (coverage[i] === 0) grid[i] = 0
+    }
+  }
 
-    for (let i = 0; i < totalFrames; i++) {
-      onProgress?.(i / totalFrames)
+  const svg = pixelsToSVG(grid, gridWidth, gridHeight, {
+    outputWidth: Math.max(1, Math.round(gridWidth * unit)),
+    outputHeight: Math.max(1, Math.round(gridHeight * unit)),
+    mode,
+    background: omitBackground ? null : background
+  })
 
-      const buffer = sketch.renderAtSize(width, height)
-      if (!buffer) continue
+  download(new Blob([svg], { type: 'image/svg+xml' }), 'svg')
+}
 
-      const canvas = buffer.canvas || buffer.elt
+/**
+ * Export animation as GIF
+ * `rate` is the rotation speed in radians per second; `loops` is how many
+ * times the GIF plays (0 = forever). gif.js needs every frame in memory
+ * before it can encode, so overly large GIFs are refused up front.
+ * GIFs are always rendered over the background color.
+ */
+export async function exportGIF(sketch, width, height, { duration, rate, perfectLoop, loops, signal }, onProgress) {
+  const fps = GIF_FPS
+  const { frames, rotationStep } = getExportTiming({ duration, fps, rate, perfectLoop })
+  const frameDelay = 1000 / fps
+  checkFrameMemory('GIF', frames, width, height)
 
-      // Create a regular canvas copy (gif.js needs regular canvas)
-      const tempCanvas = document.createElement('canvas')
-      tempCanvas.width = width
-      tempCanvas.height = height
-      const ctx = tempCanvas.getContext('2d')
-      ctx.drawImage(canvas, 0, 0)
+  // Dynamic import gif.js (it's a bit quirky with ESM)
+  const GIF = (await import('gif.js')).default
 
-      gif.addFrame(tempCanvas, { delay: frameDelay, copy: true })
+  const gif = new GIF({
+    workers: 2,
+    quality: 10,
+    width,
+    height,
+    workerScript: gifWorkerURL,
+    // gif.js counts extra repeats, with -1 for a single play
+    repeat: loops === 0 ? 0 : loops === 1 ? -1 : loops - 1
+  })
 
-      buffer.remove()
+  // Capture is the first 70% of the progress bar, encoding the rest
+  const overrides = { transparent: false }
+  await captureFrames(sketch, width, height, { frames, fps, rotationStep, signal, overrides }, (canvas) => {
+    gif.addFrame(canvas, { delay: frameDelay, copy: true })
+  }, (p, status) => onProgress?.(p * 0.7, status))
 
-      // Step animation forward
-      sketch.stepAnimation(1)
+  const blob = await new Promise((resolve, reject) => {
+    const abort = () => {
+      gif.abort()
+      reject(signal.reason)
     }
+    signal?.addEventListener('abort', abort, { once: true })
 
-    // Restore rotation
-    sketch.setRotation(startRotation)
-
-    gif.on('finished', (blob) => {
-      const url = URL.createObjectURL(blob)
-      const link = document.createElement('a')
-      link.download = `gradient-dither-${Date.now()}.gif`
-      link.href = url
-      link.click()
-      URL.revokeObjectURL(url)
-      resolve()
+    gif.on('progress', (p) => onProgress?.(0.7 + p * 0.3, 'Encoding GIF...'))
+    gif.on('finished', (result) => {
+      signal?.removeEventListener('abort', abort)
+      resolve(result)
     })
 
-    gif.on('error', reject)
-
-    onProgress?.(0.9, 'Encoding GIF...')
+    onProgress?.(0.7, 'Encoding GIF...')
     gif.render()
   })
+
+  download(blob, 'gif')
 }
 
+// Map quality (0-100) onto an encoder's CRF range, where lower is better
+const toCRF = (quality, worst) => String(Math.round((1 - quality / 100) * worst))
+
 /**
- * Export animation as MP4 (H.264)
+ * ffmpeg settings per animated format
+ * `quality` is 0-100; `lossless` keeps every dither pixel exact (WebP, and
+ * WebM without alpha); `alpha` keeps transparency in formats that support it.
+ * MP4's 4:2:0 chroma subsampling always softens colored dither patterns.
  */
-export async function exportMP4(sketch, width, height, fps, duration, onProgress) {
-  const ffmpeg = await getFFmpeg(onProgress)
+const VIDEO_FORMATS = {
+  mp4: {
+    label: 'MP4',
+    ext: 'mp4',
+    chunked: true,
+    mime: 'video/mp4',
+    args: ({ quality }) => [
+      '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-preset', 'medium', '-crf', toCRF(quality, 51)
+    ]
+  },
+  webm: {
+    label: 'WebM',
+    ext: 'webm',
+    chunked: true,
+    alpha: true,
+    mime: 'video/webm',
+    // VP9 only keeps alpha in chroma-subsampled yuva420p, which can't be
+    // pixel exact, so transparent WebM is always encoded with quality
+    args: ({ quality, lossless, alpha }) => [
+      '-c:v', 'libvpx-vp9',
+      '-pix_fmt', alpha ? 'yuva420p' : lossless ? 'yuv444p' : 'yuv420p',
+      ...(lossless && !alpha ? ['-lossless', '1'] : ['-crf', toCRF(quality, 63), '-b:v', '0']),
+      '-row-mt', '1'
+    ]
+  },
+  webp: {
+    label: 'WebP',
+    ext: 'webp',
+    alpha: true,
+    mime: 'image/webp',
+    args: ({ quality, lossless, alpha }) => [
+      '-c:v', 'libwebp_anim',
+      '-pix_fmt', lossless || alpha ? 'bgra' : 'yuv420p',
+      '-lossless', lossless ? '1' : '0',
+      '-quality', String(quality),
+      '-loop', '0'
+    ]
+  },
+  apng: {
+    label: 'APNG',
+    ext: 'png',
+    mime: 'image/apng',
+    alpha: true,
+    // Always lossless; quality trades encoding time for file size
+    args: ({ quality }) => [
+      '-c:v', 'apng', '-pix_fmt', 'rgba', '-pred', 'mixed',
+      '-compression_level', String(Math.round(quality / 100 * 9)),
+      '-plays', '0', '-f', 'apng'
+    ]
+  },
+}
 
-  const totalFrames = Math.ceil(duration * fps)
-  const startRotation = sketch.getRotation()
+export const VIDEO_EXPORT_FORMATS = Object.keys(VIDEO_FORMATS)
 
-  onProgress?.(0, 'Capturing frames...')
+/**
+ * Export an animation through ffmpeg in one of VIDEO_EXPORT_FORMATS
+ * `rate` is the rotation speed in radians per second.
+ *
+ * MP4 and WebM are encoded in chunks of VIDEO_CHUNK_FRAMES as frames come
+ * in and joined without re-encoding, so memory stays bounded for long
+ * exports. Animated WebP and APNG can't be joined, so their (compressed)
+ * frames are collected and encoded in one pass, and exports too large for
+ * that are refused up front. Temporary files are removed even when the
+ * export fails or is cancelled.
+ */
+export async function exportVideo(sketch, width, height, format, { fps, duration, rate, perfectLoop, quality = 80, lossless = false, alpha = false, signal }, onProgress) {
+  const { label, ext, mime, args, chunked, alpha: supportsAlpha } = VIDEO_FORMATS[format]
+  const { frames, rotationStep } = getExportTiming({ duration, fps, rate, perfectLoop })
+  if (!chunked) checkFrameMemory(label, frames, width, height)
+  const ffmpeg = await getFFmpeg(onProgress)
 
-  // Capture all frames
-  for (let i = 0; i < totalFrames; i++) {
-    onProgress?.(i / totalFrames * 0.5, `Capturing frame ${i + 1}/${totalFrames}`)
+  // Formats without alpha are rendered over the background color
+  const keepAlpha = alpha && supportsAlpha
+  const overrides = keepAlpha ? undefined : { transparent: false }
+  const encoderArgs = args({ quality, lossless, alpha: keepAlpha })
 
-    const buffer = sketch.renderAtSize(width, height)
-    if (!buffer) continue
+  const tempFiles = new Set()
+  const chunkSize = chunked ? VIDEO_CHUNK_FRAMES : frames
 
-    const canvas = buffer.canvas || buffer.elt
+  // Chunks encode while capturing; single-pass formats encode afterwards
+  const captureShare = chunked ? 0.9 : 0.6
+  const segments = []
+  let chunkFrames = []
 
-    // Convert canvas to blob
-    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'))
-    const arrayBuffer = await blob.arrayBuffer()
+  const run = async (command) => {
+    const exitCode = await ffmpeg.exec(command, -1, { signal })
+    if (exitCode !== 0) throw new Error(`${label} encoding failed`)
+  }
 
-    // Write frame to ffmpeg filesystem
-    const frameNum = String(i).padStart(5, '0')
-    await ffmpeg.writeFile(`frame${frameNum}.png`, new Uint8Array(arrayBuffer))
+  const writeTemp = async (name, data) => {
+    tempFiles.add(name)
+    await ffmpeg.writeFile(name, data, { signal })
+  }
 
-    buffer.remove()
+  const removeTemp = async (name) => {
+    tempFiles.delete(name)
+    await ffmpeg.deleteFile(name).catch(() => {})
+  }
 
-    // Step animation
-    sketch.stepAnimation(1)
+  // Encode the buffered frames into the next segment, then free them
+  const encodeChunk = async () => {
+    const start = segments.length * chunkSize
+    const segment = chunked ? `segment${String(segments.length).padStart(4, '0')}.${ext}` : `output.${ext}`
+    tempFiles.add(segment)
+
+    await run([
+      '-framerate', String(fps),
+      '-start_number', String(start),
+      '-i', 'frame%05d.png',
+      ...encoderArgs,
+      segment
+    ])
+    segments.push(segment)
+
+    for (const name of chunkFrames) await removeTemp(name)
+    chunkFrames = []
   }
 
-  // Restore rotation
-  sketch.setRotation(startRotation)
+  let data
+  try {
+    await captureFrames(sketch, width, height, { frames, fps, rotationStep, signal, overrides }, async (canvas, i) => {
+      const name = `frame${String(i).padStart(5, '0')}.png`
+      await writeTemp(name, await canvasToPNG(canvas))
+      chunkFrames.push(name)
+
+      if (chunkFrames.length === chunkSize) await encodeChunk()
+    }, (p, status) => onProgress?.(p * captureShare, status))
+
+    if (chunkFrames.length) {
+      onProgress?.(captureShare, `Encoding ${label}...`)
+      ffmpegProgress = (p) => onProgress?.(captureShare + p * (0.95 - captureShare), `Encoding ${label}...`)
+      await encodeChunk()
+      ffmpegProgress = null
+    }
 
-  onProgress?.(0.5, 'Encoding MP4...')
+    let output = segments[0]
+    if (segments.length > 1) {
+      // Join the segments without re-encoding
+      onProgress?.(0.95, `Joining ${label} segments...`)
+      output = `output.${ext}`
+      tempFiles.add(output)
+      await writeTemp('segments.txt', new TextEncoder().encode(segments.map(name => `file '${name}'`).join('\n')))
+      await run(['-f', 'concat', '-safe', '0', '-i', 'segments.txt', '-c', 'copy', output])
+    }
 
-  // Encode to MP4
-  await ffmpeg.exec([
-    '-framerate', String(fps),
-    '-i', 'frame%05d.png',
-    '-c:v', 'libx264',
-    '-pix_fmt', 'yuv420p',
-    '-preset', 'medium',
-    '-crf', '18',
-    'output.mp4'
-  ])
+    data = await ffmpeg.readFile(output, 'binary', { signal })
+  } catch (err) {
+    // A cancelled ffmpeg job keeps running in its worker, so drop it
+    if (signal?.aborted) {
+      await resetFFmpeg()
+      tempFiles.clear()
+    }
+    throw err
+  } finally {
+    ffmpegProgress = null
+    for (const name of [...tempFiles]) await removeTemp(name)
+  }
+
+  download(new Blob([data.buffer], { type: mime }), ext)
+  onProgress?.(1, 'Complete!')
+}
 
-  onProgress?.(0.95, 'Preparing download...')
+/**
+ * Export the animation as a ZIP of frames
+ * 'sequence' holds numbered PNGs; 'spritesheet' holds one PNG grid plus a
+ * JSON atlas (frame rects in the common JSON-array layout, and the fps).
+ * Frames go into the archive as they're captured, so only one is held at
+ * a time.
+ */
+export async function exportFrames(sketch, width, height, { fps, duration, rate, perfectLoop, layout = 'sequence', signal }, onProgress) {
+  const { frames, rotationStep } = getExportTiming({ duration, fps, rate, perfectLoop })
+  const digits = Math.max(4, String(frames).length)
+  const frameName = (i) => `frame_${String(i).padStart(digits, '0')}.png`
+  const zip = createZipWriter()
+
+  if (layout === 'spritesheet') {
+    const columns = Math.ceil(Math.sqrt(frames))
+    const rows = Math.ceil(frames / columns)
+    const sheetWidth = columns * width
+    const sheetHeight = rows * height
+
+    if (Math.max(sheetWidth, sheetHeight) > MAX_CANVAS_EDGE || sheetWidth * sheetHeight > MAX_CANVAS_AREA) {
+      throw new Error(
+        `A ${sheetWidth}×${sheetHeight} sprite sheet is too large for the browser. ` +
+        'Lower the scale or duration, or export a PNG sequence instead.'
+      )
+    }
 
-  // Read output file
-  const data = await ffmpeg.readFile('output.mp4')
+    const sheet = document.createElement('canvas')
+    sheet.width = sheetWidth
+    sheet.height = sheetHeight
+    const ctx = sheet.getContext('2d')
+    const atlasFrames = []
+
+    await captureFrames(sketch, width, height, { frames, fps, rotationStep, signal }, (canvas, i) => {
+      const x = (i % columns) * width
+      const y = Math.floor(i / columns) * height
+      ctx.drawImage(canvas, x, y)
+
+      atlasFrames.push({
+        filename: frameName(i),
+        frame: { x, y, w: width, h: height },
+        rotated: false,
+        trimmed: false,
+        spriteSourceSize: { x: 0, y: 0, w: width, h: height },
+        sourceSize: { w: width, h: height },
+        duration: 1000 / fps
+      })
+    }, (p, status) => onProgress?.(p * 0.9, status))
+
+    onProgress?.(0.9, 'Packing sprite sheet...')
+    const atlas = {
+      frames: atlasFrames,
+      meta: {
+        app: 'gradient-dither',
+        image: 'spritesheet.png',
+        format: 'RGBA8888',
+        size: { w: sheetWidth, h: sheetHeight },
+        scale: 1,
+        fps
+      }
+    }
 
-  // Clean up frames
-  for (let i = 0; i < totalFrames; i++) {
-    const frameNum = String(i).padStart(5, '0')
-    await ffmpeg.deleteFile(`frame${frameNum}.png`).catch(() => {})
+    zip.add('spritesheet.png', await canvasToPNG(sheet))
+    zip.add('spritesheet.json', new TextEncoder().encode(JSON.stringify(atlas, null, 2)))
+  } else {
+    await captureFrames(sketch, width, height, { frames, fps, rotationStep, signal }, async (canvas, i) => {
+      zip.add(frameName(i), await canvasToPNG(canvas))
+    }, (p, status) => onProgress?.(p * 0.95, status))
   }
-  await ffmpeg.deleteFile('output.mp4').catch(() => {})
-
-  // Download
-  const blob = new Blob([data.buffer], { type: 'video/mp4' })
-  const url = URL.createObjectURL(blob)
-  const link = document.createElement('a')
-  link.download = `gradient-dither-${Date.now()}.mp4`
-  link.href = url
-  link.click()
-  URL.revokeObjectURL(url)
 
+  onProgress?.(0.95, 'Building ZIP...')
+  download(zip.finish(), 'zip')
   onProgress?.(1, 'Complete!')
 }
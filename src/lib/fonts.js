@@ -0,0 +1,25 @@
+/**
+ * Custom font loading via the FontFace API
+ */
+
+export const FONT_FILE_TYPES = '.ttf,.otf,.woff,.woff2'
+
+/**
+ * Register a local TTF/OTF/WOFF file as a document font
+ * Resolves with the family name to use in the text controls.
+ */
+export async function loadFontFile(file) {
+  // Family name from the file name, e.g. "Inter-Bold.woff2" -> "Inter-Bold"
+  const family = file.name.replace(/\.[^.]+$/, '')
+  const data = await file.arrayBuffer()
+
+  const face = new FontFace(family, data)
+  try {
+    await face.load()
+  } catch {
+    throw new Error(`"${file.name}" is not a supported font file`)
+  }
+
+  document.fonts.add(face)
+  return family
+}
@@ -1,56 +1,161 @@
 /**
- * Gradient generators for p5.js graphics contexts
+ * Gradient generators writing into RGBA pixel arrays
  */
 
+import { hexToRgb, srgbToLinear, linearToSrgb, rgbToOklab, oklabToRgb, rgbToHsl, hslToRgb } from './color.js'
+import { createNoise3D } from './noise.js'
+
+/**
+ * Color spaces gradients can interpolate in
+ * `to` converts an sRGB color to a coordinate triple, `from` converts back.
+ * `hue` marks a cyclic component (in turns) interpolated along the shorter
+ * arc, and `chroma` the component telling whether that hue is meaningful.
+ */
+const SPACES = {
+  'srgb': {
+    to: (c) => [c.r, c.g, c.b],
+    from: ([r, g, b]) => ({ r, g, b })
+  },
+  'linear-rgb': {
+    to: (c) => [srgbToLinear(c.r), srgbToLinear(c.g), srgbToLinear(c.b)],
+    from: ([r, g, b]) => ({ r: linearToSrgb(r), g: linearToSrgb(g), b: linearToSrgb(b) })
+  },
+  'oklab': {
+    to: (c) => {
+      const { L, a, b } = rgbToOklab(c.r, c.g, c.b)
+      return [L, a, b]
+    },
+    from: ([L, a, b]) => oklabToRgb(L, a, b)
+  },
+  'oklch': {
+    to: (c) => {
+      const { L, a, b } = rgbToOklab(c.r, c.g, c.b)
+      const h = Math.atan2(b, a) / (2 * Math.PI)
+      return [L, Math.sqrt(a * a + b * b), h < 0 ? h + 1 : h]
+    },
+    from: ([L, C, h]) => oklabToRgb(L, C * Math.cos(h * 2 * Math.PI), C * Math.sin(h * 2 * Math.PI)),
+    hue: 2,
+    chroma: 1
+  },
+  'hsl': {
+    to: (c) => {
+      const { h, s, l } = rgbToHsl(c.r, c.g, c.b)
+      return [h, s, l]
+    },
+    from: ([h, s, l]) => hslToRgb(h, s, l),
+    hue: 0,
+    chroma: 1
+  },
+}
+
+export const GRADIENT_SPACES = Object.keys(SPACES)
+
 /**
- * Parse hex color to RGB object
+ * Easing curves applied within a segment between two stops
  */
-function hexToRgb(hex) {
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex)
-  return result ? {
-    r: parseInt(result[1], 16),
-    g: parseInt(result[2], 16),
-    b: parseInt(result[3], 16)
-  } : { r: 0, g: 0, b: 0 }
+const EASINGS = {
+  'linear': (t) => t,
+  'ease-in': (t) => t * t,
+  'ease-out': (t) => 1 - (1 - t) * (1 - t),
+  'ease-in-out': (t) => t * t * (3 - 2 * t),
+  'step': (t) => (t < 1 ? 0 : 1),
 }
 
+export const GRADIENT_EASINGS = Object.keys(EASINGS)
+
+// Number of precomputed ramp entries
+const RAMP_RESOLUTION = 2048
+
+// Noise field: fixed seed, and noise time units per full rotation
+const noise3D = createNoise3D(7)
+const NOISE_PERIOD = 4
+
 /**
- * Interpolate between colors based on t (0-1)
+ * Interpolate two coordinate triples, taking the shorter way around hues
  */
-function lerpColors(colors, t) {
-  const rgbColors = colors.map(hexToRgb)
-  const segments = rgbColors.length - 1
-  const segment = Math.min(Math.floor(t * segments), segments - 1)
-  const localT = (t * segments) - segment
-
-  const c1 = rgbColors[segment]
-  const c2 = rgbColors[segment + 1]
-
-  return {
-    r: Math.round(c1.r + (c2.r - c1.r) * localT),
-    g: Math.round(c1.g + (c2.g - c1.g) * localT),
-    b: Math.round(c1.b + (c2.b - c1.b) * localT)
+function mixCoords(space, a, b, t) {
+  const out = [0, 0, 0]
+
+  for (let i = 0; i < 3; i++) {
+    let from = a[i]
+    let to = b[i]
+
+    if (i === space.hue) {
+      // A grey stop has no meaningful hue; borrow the other stop's
+      if (a[space.chroma] < 1e-4) from = to
+      if (b[space.chroma] < 1e-4) to = from
+      to = from + (to - from - Math.round(to - from))
+    }
+
+    out[i] = from + (to - from) * t
   }
+
+  return out
+}
+
+/**
+ * Precompute a color ramp from gradient stops
+ * stops: [{ color: '#rrggbb', position: 0-1, easing }] - the easing shapes
+ * the segment from that stop to the next one.
+ */
+export function createGradientRamp(stops, space = 'srgb') {
+  const model = SPACES[space] || SPACES.srgb
+  const sorted = [...stops].sort((a, b) => a.position - b.position)
+  const coords = sorted.map(stop => model.to(hexToRgb(stop.color)))
+  const lut = new Uint8ClampedArray(RAMP_RESOLUTION * 3)
+
+  let segment = 0
+  for (let i = 0; i < RAMP_RESOLUTION; i++) {
+    const t = i / (RAMP_RESOLUTION - 1)
+
+    while (segment < sorted.length - 2 && t > sorted[segment + 1].position) {
+      segment++
+    }
+
+    const endIndex = Math.min(segment + 1, sorted.length - 1)
+    const start = sorted[segment]
+    const end = sorted[endIndex]
+    const span = end.position - start.position
+
+    // Hold the end colors outside the first and last stop
+    let localT = span > 0 ? (t - start.position) / span : (t < start.position ? 0 : 1)
+    localT = Math.max(0, Math.min(1, localT))
+
+    const ease = EASINGS[start.easing] || EASINGS.linear
+    const color = model.from(mixCoords(model, coords[segment], coords[endIndex], ease(localT)))
+
+    lut[i * 3] = Math.round(color.r)
+    lut[i * 3 + 1] = Math.round(color.g)
+    lut[i * 3 + 2] = Math.round(color.b)
+  }
+
+  return lut
+}
+
+/**
+ * Write the ramp color at t (0-1) into the pixel at idx
+ */
+function writeRampColor(pixels, idx, ramp, t) {
+  const r = 3 * Math.round(t * (RAMP_RESOLUTION - 1))
+  pixels[idx] = ramp[r]
+  pixels[idx + 1] = ramp[r + 1]
+  pixels[idx + 2] = ramp[r + 2]
+  pixels[idx + 3] = 255
 }
 
 /**
  * Create a radial gradient
  * Smooth circular fade from center to edge
  */
-export function createRadialGradient(g, cx, cy, colors, rotation, size) {
-  g.loadPixels()
-  const d = g.pixelDensity()
-  const w = g.width * d
-  const h = g.height * d
-
+export function createRadialGradient(pixels, w, h, cx, cy, ramp, rotation, size) {
   for (let y = 0; y < h; y++) {
     for (let x = 0; x < w; x++) {
-      const dx = x - cx * d
-      const dy = y - cy * d
+      const dx = x - cx
+      const dy = y - cy
 
       // Calculate distance from center
       const dist = Math.sqrt(dx * dx + dy * dy)
-      const maxDist = size * d * 0.5
+      const maxDist = size * 0.5
 
       // Normalize distance to 0-1 (center to edge)
       let t = Math.min(dist / maxDist, 1)
@@ -62,26 +167,15 @@ export function createRadialGradient(g, cx, cy, colors, rotation, size) {
       // Handle negative wrapping
       if (t < 0) t += 1
 
-      const color = lerpColors(colors, t)
-
-      const idx = 4 * (y * w + x)
-      g.pixels[idx] = color.r
-      g.pixels[idx + 1] = color.g
-      g.pixels[idx + 2] = color.b
-      g.pixels[idx + 3] = 255
+      writeRampColor(pixels, 4 * (y * w + x), ramp, t)
     }
   }
-  g.updatePixels()
 }
 
 /**
  * Create a rotating linear gradient
  */
-export function createLinearGradient(g, colors, rotation, size) {
-  g.loadPixels()
-  const d = g.pixelDensity()
-  const w = g.width * d
-  const h = g.height * d
+export function createLinearGradient(pixels, w, h, ramp, rotation, size) {
   const cx = w / 2
   const cy = h / 2
 
@@ -97,36 +191,24 @@ export function createLinearGradient(g, colors, rotation, size) {
       const proj = dx * dirX + dy * dirY
 
       // Normalize to 0-1 based on size
-      const maxProj = size * d * 0.5
+      const maxProj = size * 0.5
       let t = (proj + maxProj) / (2 * maxProj)
       t = Math.max(0, Math.min(1, t))
 
-      const color = lerpColors(colors, t)
-
-      const idx = 4 * (y * w + x)
-      g.pixels[idx] = color.r
-      g.pixels[idx + 1] = color.g
-      g.pixels[idx + 2] = color.b
-      g.pixels[idx + 3] = 255
+      writeRampColor(pixels, 4 * (y * w + x), ramp, t)
     }
   }
-  g.updatePixels()
 }
 
 /**
  * Create a rotating conic/angular gradient
  * Colors sweep around the center point
  */
-export function createConicGradient(g, cx, cy, colors, rotation, size) {
-  g.loadPixels()
-  const d = g.pixelDensity()
-  const w = g.width * d
-  const h = g.height * d
-
+export function createConicGradient(pixels, w, h, cx, cy, ramp, rotation, size) {
   for (let y = 0; y < h; y++) {
     for (let x = 0; x < w; x++) {
-      const dx = x - cx * d
-      const dy = y - cy * d
+      const dx = x - cx
+      const dy = y - cy
       let angle = Math.atan2(dy, dx)
 
       // Add rotation
@@ -137,14 +219,112 @@ export function createConicGradient(g, cx, cy, colors, rotation, size) {
       t = t % 1
       if (t < 0) t += 1
 
-      const color = lerpColors(colors, t)
+      writeRampColor(pixels, 4 * (y * w + x), ramp, t)
+    }
+  }
+}
+
+/**
+ * Create a diamond/square gradient
+ * Like radial, but distance is measured along the axes (L1) for
+ * diamond-shaped rings that cycle outwards with rotation
+ */
+export function createDiamondGradient(pixels, w, h, cx, cy, ramp, rotation, size) {
+  const maxDist = size * 0.5
+  const rotationOffset = (rotation / (2 * Math.PI)) % 1
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const dist = Math.abs(x - cx) + Math.abs(y - cy)
+
+      let t = Math.min(dist / maxDist, 1)
+      t = (t + rotationOffset) % 1
+      if (t < 0) t += 1
+
+      writeRampColor(pixels, 4 * (y * w + x), ramp, t)
+    }
+  }
+}
+
+/**
+ * Create a logarithmic spiral gradient
+ * Bands follow r = e^(angle / tightness) and turn with rotation
+ */
+export function createSpiralGradient(pixels, w, h, cx, cy, ramp, rotation, size, arms = 2, tightness = 1.5) {
+  const maxDist = size * 0.5
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const dx = x - cx
+      const dy = y - cy
+      const angle = Math.atan2(dy, dx) + rotation
+      const dist = Math.max(Math.sqrt(dx * dx + dy * dy), 1) / maxDist
+
+      let t = (arms * angle / (2 * Math.PI) + tightness * Math.log(dist)) % 1
+      if (t < 0) t += 1
+
+      writeRampColor(pixels, 4 * (y * w + x), ramp, t)
+    }
+  }
+}
+
+/**
+ * Create a four-corner mesh gradient
+ * Bilinear blend of four colors (top-left, top-right, bottom-right,
+ * bottom-left) in the given color space; rotation turns the mesh.
+ */
+export function createMeshGradient(pixels, w, h, corners, space, rotation) {
+  const model = SPACES[space] || SPACES.srgb
+  const [tl, tr, br, bl] = corners.map(color => model.to(hexToRgb(color)))
+  const cx = w / 2
+  const cy = h / 2
+  const cos = Math.cos(-rotation)
+  const sin = Math.sin(-rotation)
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      // Rotate the sample point, then find its position in the unit square
+      const dx = x - cx
+      const dy = y - cy
+      const u = Math.max(0, Math.min(1, (dx * cos - dy * sin) / w + 0.5))
+      const v = Math.max(0, Math.min(1, (dx * sin + dy * cos) / h + 0.5))
+
+      const top = mixCoords(model, tl, tr, u)
+      const bottom = mixCoords(model, bl, br, u)
+      const color = model.from(mixCoords(model, top, bottom, v))
 
       const idx = 4 * (y * w + x)
-      g.pixels[idx] = color.r
-      g.pixels[idx + 1] = color.g
-      g.pixels[idx + 2] = color.b
-      g.pixels[idx + 3] = 255
+      pixels[idx] = Math.round(color.r)
+      pixels[idx + 1] = Math.round(color.g)
+      pixels[idx + 2] = Math.round(color.b)
+      pixels[idx + 3] = 255
+    }
+  }
+}
+
+/**
+ * Create an animated noise field gradient
+ * Fractal Perlin noise picks the ramp position; rotation moves through the
+ * noise's time axis, which repeats after every full turn.
+ */
+export function createNoiseGradient(pixels, w, h, ramp, rotation, size, scale = 3, octaves = 3) {
+  const time = (rotation / (2 * Math.PI)) * NOISE_PERIOD
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let value = 0
+      let amplitude = 0.5
+      let frequency = scale / size
+
+      for (let o = 0; o < octaves; o++) {
+        const period = NOISE_PERIOD << o
+        value += amplitude * noise3D(x * frequency, y * frequency, time * (1 << o), period)
+        amplitude *= 0.5
+        frequency *= 2
+      }
+
+      const t = Math.max(0, Math.min(1, 0.5 + value))
+      writeRampColor(pixels, 4 * (y * w + x), ramp, t)
     }
   }
-  g.updatePixels()
 }
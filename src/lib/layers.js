@@ -0,0 +1,97 @@
+/**
+ * Layer stacks: which controls belong to a layer, visibility and blending
+ */
+
+export const BLEND_MODES = ['normal', 'multiply', 'screen', 'difference', 'xor']
+
+// What a layer's mask is made from ('full' covers the whole canvas)
+export const LAYER_TYPES = ['text', 'shape', 'image', 'full']
+
+// Controls shared by the whole composition; every other control belongs
+// to a layer. Speed and playing sit in the Gradient folder but set the
+// timing of the whole animation.
+const COMPOSITION_KEYS = new Set([
+  'canvasSize', 'canvasWidth', 'canvasHeight',
+  'speed', 'playing',
+  'transparent', 'bgFill', 'color', 'bgType', 'bgColor1', 'bgColor2',
+  'presetName',
+  'format', 'zipLayout', 'pixelScale', 'svgMode', 'omitBackground', 'exportScale',
+  'fps', 'duration', 'perfectLoop', 'gifLoops', 'quality', 'lossless'
+])
+
+let nextLayerId = 1
+
+function pickControls(controls, composition) {
+  const picked = {}
+  Object.entries(controls).forEach(([key, value]) => {
+    if (value !== undefined && COMPOSITION_KEYS.has(key) === composition) picked[key] = value
+  })
+  return picked
+}
+
+/**
+ * The composition-wide values from flat Leva controls
+ */
+export function getCompositionControls(controls) {
+  return pickControls(controls, true)
+}
+
+/**
+ * The per-layer values from flat Leva controls (including numColors)
+ */
+export function getLayerControls(controls) {
+  return pickControls(controls, false)
+}
+
+/**
+ * Create a layer record
+ * `controls` is a snapshot of the layer's values; the layer being edited
+ * keeps its live values in the panel instead. `media` and `svg` are its
+ * loaded files.
+ */
+export function createLayer(name, controls = null, { visible = true, solo = false } = {}) {
+  return { id: nextLayerId++, name, visible, solo, controls, media: null, svg: null }
+}
+
+/**
+ * Layers that render, bottom first: the soloed ones if any are, otherwise
+ * every visible layer
+ */
+export function getVisibleLayers(layers) {
+  const soloed = layers.filter(layer => layer.solo)
+  return soloed.length ? soloed : layers.filter(layer => layer.visible)
+}
+
+const BLEND_FUNCTIONS = {
+  normal: (s) => s,
+  multiply: (s, d) => s * d / 255,
+  screen: (s, d) => 255 - (255 - s) * (255 - d) / 255,
+  difference: (s, d) => Math.abs(s - d),
+  // Bitwise, so black and white 1-bit layers flip each other's pixels
+  xor: (s, d) => s ^ d
+}
+
+/**
+ * Blend an RGBA layer onto an RGBA backdrop in place
+ * The blend mode only applies where the backdrop is opaque; over
+ * transparent areas the layer shows as it is.
+ */
+export function blendLayer(dst, src, mode = 'normal') {
+  const blend = BLEND_FUNCTIONS[mode] || BLEND_FUNCTIONS.normal
+
+  for (let i = 0; i < dst.length; i += 4) {
+    const sa = src[i + 3] / 255
+    if (sa === 0) continue
+
+    const da = dst[i + 3] / 255
+    const alpha = sa + da * (1 - sa)
+
+    for (let c = 0; c < 3; c++) {
+      const s = src[i + c]
+      const d = dst[i + c]
+      const mixed = blend(s, d) * da + s * (1 - da)
+      dst[i + c] = Math.round((mixed * sa + d * da * (1 - sa)) / alpha)
+    }
+    dst[i + 3] = Math.round(alpha * 255)
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * Local image and video files used as mask or color source
+ */
+
+/**
+ * Open the browser file picker and resolve with the chosen file
+ * (or null if the dialog is dismissed without a choice)
+ */
+export function pickFile(accept) {
+  return new Promise((resolve) => {
+    const input = document.createElement('input')
+    input.type = 'file'
+    input.accept = accept
+    input.onchange = () => resolve(input.files[0] || null)
+    input.oncancel = () => resolve(null)
+    input.click()
+  })
+}
+
+/**
+ * Load an image or video file into a drawable element
+ */
+export async function loadMediaFile(file) {
+  const url = URL.createObjectURL(file)
+
+  try {
+    if (file.type.startsWith('video/')) {
+      const video = document.createElement('video')
+      video.muted = true
+      video.loop = true
+      video.playsInline = true
+      video.src = url
+
+      await new Promise((resolve, reject) => {
+        video.onloadeddata = resolve
+        video.onerror = () => reject(new Error(`Could not load video "${file.name}"`))
+      })
+      await video.play().catch(() => {})
+
+      return { type: 'video', element: video, width: video.videoWidth, height: video.videoHeight, url, name: file.name }
+    }
+
+    const image = new Image()
+    image.src = url
+    await image.decode().catch(() => {
+      throw new Error(`Could not load image "${file.name}"`)
+    })
+
+    return { type: 'image', element: image, width: image.naturalWidth, height: image.naturalHeight, url, name: file.name }
+  } catch (err) {
+    URL.revokeObjectURL(url)
+    throw err
+  }
+}
+
+/**
+ * Stop playback and free the object URL of loaded media
+ */
+export function releaseMedia(media) {
+  if (!media) return
+  if (media.type === 'video') {
+    media.element.pause()
+    media.element.removeAttribute('src')
+    media.element.load()
+  }
+  URL.revokeObjectURL(media.url)
+}
+
+/**
+ * Draw media centered into a w x h 2D context
+ * 'cover' fills the area (cropping), 'contain' fits inside it (letterboxing)
+ */
+export function drawMedia(ctx, media, w, h, fit = 'cover') {
+  const scale = fit === 'contain'
+    ? Math.min(w / media.width, h / media.height)
+    : Math.max(w / media.width, h / media.height)
+  const dw = media.width * scale
+  const dh = media.height * scale
+
+  ctx.drawImage(media.element, (w - dw) / 2, (h - dh) / 2, dw, dh)
+}
+
+/**
+ * Seek a video to `time` seconds (wrapping at its duration), resolving
+ * once the frame at that time is ready to draw
+ */
+export function seekVideo(video, time) {
+  const target = video.duration ? time % video.duration : 0
+
+  return new Promise((resolve) => {
+    if (Math.abs(video.currentTime - target) < 1e-3) {
+      resolve()
+      return
+    }
+    video.addEventListener('seeked', () => resolve(), { once: true })
+    video.currentTime = target
+  })
+}
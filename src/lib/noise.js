@@ -0,0 +1,76 @@
+/**
+ * Smooth gradient noise (improved Perlin), generated locally
+ */
+
+import { createRandom } from './random.js'
+
+// Gradient directions: the 12 cube edge midpoints
+const GRADIENTS = [
+  [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+  [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+  [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1]
+]
+
+const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10)
+const lerp = (a, b, t) => a + (b - a) * t
+
+/**
+ * Create a seeded 3D Perlin noise function noise(x, y, z, periodZ)
+ * Output is roughly in -1..1. With a positive periodZ the noise repeats
+ * exactly every periodZ units along z, so animating through z can loop.
+ */
+export function createNoise3D(seed = 0) {
+  const random = createRandom(seed)
+
+  // Shuffled permutation table, doubled to avoid wrapping indices
+  const p = new Uint8Array(256)
+  for (let i = 0; i < 256; i++) p[i] = i
+  for (let i = 255; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    const tmp = p[i]
+    p[i] = p[j]
+    p[j] = tmp
+  }
+  const perm = new Uint8Array(512)
+  for (let i = 0; i < 512; i++) perm[i] = p[i & 255]
+
+  const dot = (ix, iy, iz, x, y, z) => {
+    const g = GRADIENTS[perm[perm[perm[ix & 255] + (iy & 255)] + (iz & 255)] % 12]
+    return g[0] * x + g[1] * y + g[2] * z
+  }
+
+  return (x, y, z, periodZ = 0) => {
+    const ix = Math.floor(x)
+    const iy = Math.floor(y)
+    const iz = Math.floor(z)
+    const fx = x - ix
+    const fy = y - iy
+    const fz = z - iz
+
+    // Wrap lattice z so both ends of the period share gradients
+    let z0 = iz
+    let z1 = iz + 1
+    if (periodZ > 0) {
+      z0 = ((z0 % periodZ) + periodZ) % periodZ
+      z1 = ((z1 % periodZ) + periodZ) % periodZ
+    }
+
+    const u = fade(fx)
+    const v = fade(fy)
+    const w = fade(fz)
+
+    return lerp(
+      lerp(
+        lerp(dot(ix, iy, z0, fx, fy, fz), dot(ix + 1, iy, z0, fx - 1, fy, fz), u),
+        lerp(dot(ix, iy + 1, z0, fx, fy - 1, fz), dot(ix + 1, iy + 1, z0, fx - 1, fy - 1, fz), u),
+        v
+      ),
+      lerp(
+        lerp(dot(ix, iy, z1, fx, fy, fz - 1), dot(ix + 1, iy, z1, fx - 1, fy, fz - 1), u),
+        lerp(dot(ix, iy + 1, z1, fx, fy - 1, fz - 1), dot(ix + 1, iy + 1, z1, fx - 1, fy - 1, fz - 1), u),
+        v
+      ),
+      w
+    )
+  }
+}
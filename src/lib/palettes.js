@@ -0,0 +1,117 @@
+/**
+ * Fixed color palettes and nearest-color matching
+ */
+
+import { hexToRgb, rgbToOklab } from './color.js'
+
+// Built-in palettes, keyed by the name shown in the Dither folder
+export const PALETTES = {
+  '1-bit': ['#000000', '#ffffff'],
+  'gameboy': ['#0f380f', '#306230', '#8bac0f', '#9bbc0f'],
+  'cga': ['#000000', '#55ffff', '#ff55ff', '#ffffff'],
+  'pico-8': [
+    '#000000', '#1d2b53', '#7e2553', '#008751', '#ab5236', '#5f574f', '#c2c3c7', '#fff1e8',
+    '#ff004d', '#ffa300', '#ffec27', '#00e436', '#29adff', '#83769c', '#ff77a8', '#ffccaa'
+  ],
+  'c64': [
+    '#000000', '#ffffff', '#68372b', '#70a4b2', '#6f3d86', '#588d43', '#352879', '#b8c76f',
+    '#6f4f25', '#433900', '#9a6759', '#444444', '#6c6c6c', '#9ad284', '#6c5eb5', '#959595'
+  ],
+  'ega': [
+    '#000000', '#0000aa', '#00aa00', '#00aaaa', '#aa0000', '#aa00aa', '#aa5500', '#aaaaaa',
+    '#555555', '#5555ff', '#55ff55', '#55ffff', '#ff5555', '#ff55ff', '#ffff55', '#ffffff'
+  ],
+}
+
+export const PALETTE_DISTANCES = ['rgb', 'redmean', 'oklab']
+
+/**
+ * Distance metrics between colors. Each metric converts colors into its own
+ * space once with `prepare`, then compares prepared values with `measure`.
+ */
+const DISTANCES = {
+  rgb: {
+    prepare: (r, g, b) => ({ r, g, b }),
+    measure: (p, c) => {
+      const dr = p.r - c.r
+      const dg = p.g - c.g
+      const db = p.b - c.b
+      return dr * dr + dg * dg + db * db
+    }
+  },
+  // Cheap perceptual approximation weighting channels by mean red
+  redmean: {
+    prepare: (r, g, b) => ({ r, g, b }),
+    measure: (p, c) => {
+      const rm = (p.r + c.r) / 2
+      const dr = p.r - c.r
+      const dg = p.g - c.g
+      const db = p.b - c.b
+      return (2 + rm / 256) * dr * dr + 4 * dg * dg + (2 + (255 - rm) / 256) * db * db
+    }
+  },
+  oklab: {
+    prepare: (r, g, b) => rgbToOklab(r, g, b),
+    measure: (p, c) => {
+      const dL = p.L - c.L
+      const da = p.a - c.a
+      const db = p.b - c.b
+      return dL * dL + da * da + db * db
+    }
+  },
+}
+
+/**
+ * Resolve the palette selected in the Dither controls to a list of hex colors.
+ * Returns null when no palette is active (per-channel quantize levels).
+ */
+export function resolvePalette(ctrl) {
+  const name = ctrl.palette
+  if (!name || name === 'none') return null
+
+  if (name === 'custom') {
+    const colors = []
+    for (let i = 1; i <= ctrl.swatches; i++) {
+      if (ctrl[`swatch${i}`]) colors.push(ctrl[`swatch${i}`])
+    }
+    return colors.length ? colors : null
+  }
+
+  return PALETTES[name] || null
+}
+
+/**
+ * Create a function mapping an (r, g, b) value to the nearest palette color.
+ * Results are cached per rounded input color since dithered images reuse
+ * the same handful of values heavily.
+ */
+export function createPaletteMatcher(colors, distance = 'oklab') {
+  const metric = DISTANCES[distance] || DISTANCES.rgb
+  const entries = colors.map(hexToRgb)
+  const prepared = entries.map(c => metric.prepare(c.r, c.g, c.b))
+  const cache = new Map()
+
+  return (r, g, b) => {
+    r = Math.max(0, Math.min(255, Math.round(r)))
+    g = Math.max(0, Math.min(255, Math.round(g)))
+    b = Math.max(0, Math.min(255, Math.round(b)))
+
+    const key = (r << 16) | (g << 8) | b
+    const cached = cache.get(key)
+    if (cached) return cached
+
+    const pixel = metric.prepare(r, g, b)
+    let best = 0
+    let bestDist = Infinity
+    for (let i = 0; i < prepared.length; i++) {
+      const dist = metric.measure(pixel, prepared[i])
+      if (dist < bestDist) {
+        bestDist = dist
+        best = i
+      }
+    }
+
+    cache.set(key, entries[best])
+    return entries[best]
+  }
+}
@@ -0,0 +1,297 @@
+/**
+ * Render pipeline: gradient -> mask composite -> dither -> layer blend
+ * Works on plain RGBA typed arrays so it can run off the main thread.
+ */
+
+import {
+  createRadialGradient,
+  createLinearGradient,
+  createConicGradient,
+  createDiamondGradient,
+  createSpiralGradient,
+  createMeshGradient,
+  createNoiseGradient,
+  createGradientRamp
+} from './gradients.js'
+import { applyDither } from './dithering.js'
+import { blendLayer } from './layers.js'
+import { resolvePalette } from './palettes.js'
+import { hexToRgb } from './color.js'
+import { getCanvasSize, getPreviewSize } from './sizes.js'
+
+/**
+ * Reference short-side length for layout: text sizes, offsets and halftone
+ * cells are in units of 1/LAYOUT_SIZE of the short side, so a composition
+ * looks the same at every output resolution
+ */
+export const LAYOUT_SIZE = 600
+
+/**
+ * Scale from layout units to pixels for a render of the given size
+ */
+export function getLayoutScale(width, height) {
+  return Math.min(width, height) / LAYOUT_SIZE
+}
+
+/**
+ * Smallest dither pixel size in layout units: one screen pixel of the
+ * preview. Smaller sizes can't show in the preview, so they're raised to
+ * this for every render and exports stay an upscale of the preview.
+ */
+export function getMinPixelSize(ctrl) {
+  const preview = getPreviewSize(getCanvasSize(ctrl))
+  return 1 / getLayoutScale(preview.width, preview.height)
+}
+
+/**
+ * Collect the settings a frame needs from the flat Leva controls.
+ * The result is plain data so it can be posted to a worker.
+ */
+export function getFrameSettings(ctrl) {
+  // Gradient stops, evenly spaced unless positioned by hand
+  const count = ctrl.numColors
+  const stops = []
+  for (let i = 1; i <= count; i++) {
+    stops.push({
+      color: ctrl[`color${i}`],
+      position: ctrl.stops === 'custom' ? ctrl[`position${i}`] : (i - 1) / (count - 1),
+      easing: ctrl.stops === 'custom' ? ctrl[`ease${i}`] : 'linear'
+    })
+  }
+
+  return {
+    gradientType: ctrl.type,
+    gradientSpace: ctrl.space,
+    stops,
+    bgColor: ctrl.color,
+    transparent: ctrl.transparent,
+    // Optional two-color gradient behind the text instead of the solid color
+    bgGradient: ctrl.bgFill === 'gradient'
+      ? {
+          gradientType: ctrl.bgType,
+          stops: [
+            { color: ctrl.bgColor1, position: 0, easing: 'linear' },
+            { color: ctrl.bgColor2, position: 1, easing: 'linear' }
+          ]
+        }
+      : null,
+    // Offset copy of the mask in a flat color, in layout units
+    shadow: ctrl.shadow ? { x: ctrl.shadowX, y: ctrl.shadowY, color: ctrl.shadowColor } : null,
+    blend: ctrl.blend || 'normal',
+    algorithm: ctrl.algorithm,
+    strength: ctrl.strength,
+    ditherSize: Math.max(ctrl.size, getMinPixelSize(ctrl)),
+    // 1-bit is grayscale with exactly two levels: ink and paper
+    colorLevels: ctrl.colorMode === '1-bit' ? 2 : ctrl.colorLevels,
+    ditherOptions: {
+      palette: resolvePalette(ctrl),
+      channelLevels: ctrl.splitLevels ? [ctrl.levelsR, ctrl.levelsG, ctrl.levelsB] : null,
+      linear: ctrl.linear,
+      grayscale: ctrl.colorMode === 'grayscale' || ctrl.colorMode === '1-bit',
+      ink: ctrl.ink,
+      paper: ctrl.paper,
+      distance: ctrl.distance,
+      serpentine: ctrl.serpentine,
+      matrixSize: ctrl.matrixSize,
+      noiseSize: ctrl.noiseSize,
+      cellSize: ctrl.cellSize,
+      angle: ctrl.angle,
+      channelAngles: ctrl.channelAngles,
+      seed: ctrl.seed,
+      grain: ctrl.grain
+    }
+  }
+}
+
+/**
+ * Reduce a rendered RGBA image to one mask coverage byte per pixel
+ * 'luminance' reads brightness (white text on black shows the fill),
+ * 'alpha' reads opacity, for logos and cut-outs with transparency.
+ */
+export function extractMask(rgba, channel = 'luminance') {
+  const mask = new Uint8Array(rgba.length / 4)
+
+  for (let i = 0; i < mask.length; i++) {
+    const idx = i * 4
+    const alpha = rgba[idx + 3]
+
+    if (channel === 'alpha') {
+      mask[i] = alpha
+    } else {
+      const lum = 0.2126 * rgba[idx] + 0.7152 * rgba[idx + 1] + 0.0722 * rgba[idx + 2]
+      mask[i] = Math.round(lum * alpha / 255)
+    }
+  }
+
+  return mask
+}
+
+/**
+ * Render a gradient of the given type into an RGBA array
+ */
+export function renderGradient(pixels, width, height, gradientType, stops, space, rotation) {
+  const size = Math.max(width, height)
+  const cx = width / 2
+  const cy = height / 2
+
+  // The mesh blends its four corner colors directly instead of using a ramp
+  if (gradientType === 'mesh') {
+    const corners = [0, 1, 2, 3].map(i => stops[Math.min(i, stops.length - 1)].color)
+    createMeshGradient(pixels, width, height, corners, space, rotation)
+    return
+  }
+
+  const ramp = createGradientRamp(stops, space)
+
+  if (gradientType === 'radial') {
+    createRadialGradient(pixels, width, height, cx, cy, ramp, rotation, size)
+  } else if (gradientType === 'linear') {
+    createLinearGradient(pixels, width, height, ramp, rotation, size)
+  } else if (gradientType === 'conic') {
+    createConicGradient(pixels, width, height, cx, cy, ramp, rotation, size)
+  } else if (gradientType === 'diamond') {
+    createDiamondGradient(pixels, width, height, cx, cy, ramp, rotation, size)
+  } else if (gradientType === 'spiral') {
+    createSpiralGradient(pixels, width, height, cx, cy, ramp, rotation, size)
+  } else if (gradientType === 'noise') {
+    createNoiseGradient(pixels, width, height, ramp, rotation, size)
+  }
+}
+
+/**
+ * Shift a mask by whole pixels, leaving the uncovered edge empty
+ */
+function offsetMask(mask, width, height, dx, dy) {
+  const shifted = new Uint8Array(mask.length)
+  const ox = Math.round(dx)
+  const oy = Math.round(dy)
+
+  for (let y = Math.max(0, oy); y < Math.min(height, height + oy); y++) {
+    const src = (y - oy) * width - ox
+    const dst = y * width
+    for (let x = Math.max(0, ox); x < Math.min(width, width + ox); x++) {
+      shifted[dst + x] = mask[src + x]
+    }
+  }
+
+  return shifted
+}
+
+/**
+ * Composite gradient (or media source) through mask over the background
+ * The background is `bgColor`, or the RGBA `background` gradient when given.
+ * `shadow` ({ mask, color }) is a flat-colored layer between the two.
+ * With `transparent` the background is left out and the mask (plus shadow)
+ * becomes the output alpha instead.
+ */
+export function compositeGradientWithMask(gradient, mask, output, bgColor, { transparent = false, background = null, shadow = null } = {}) {
+  const bg = hexToRgb(bgColor)
+  const shadowColor = shadow ? hexToRgb(shadow.color) : bg
+
+  for (let i = 0; i < mask.length; i++) {
+    const idx = i * 4
+
+    // Mask value (0-255, white = show gradient, black = show background),
+    // limited by the fill's own alpha (letterboxed media sources)
+    const maskValue = (mask[i] / 255) * (gradient[idx + 3] / 255)
+    const shadowValue = shadow ? shadow.mask[i] / 255 : 0
+
+    if (transparent) {
+      // Fill over shadow; colors are weighted by their share of the alpha
+      const alpha = maskValue + shadowValue * (1 - maskValue)
+      const fillShare = alpha > 0 ? maskValue / alpha : 1
+      output[idx] = Math.round(gradient[idx] * fillShare + shadowColor.r * (1 - fillShare))
+      output[idx + 1] = Math.round(gradient[idx + 1] * fillShare + shadowColor.g * (1 - fillShare))
+      output[idx + 2] = Math.round(gradient[idx + 2] * fillShare + shadowColor.b * (1 - fillShare))
+      output[idx + 3] = Math.round(alpha * 255)
+      continue
+    }
+
+    let r = background ? background[idx] : bg.r
+    let g = background ? background[idx + 1] : bg.g
+    let b = background ? background[idx + 2] : bg.b
+
+    if (shadowValue > 0) {
+      r += (shadowColor.r - r) * shadowValue
+      g += (shadowColor.g - g) * shadowValue
+      b += (shadowColor.b - b) * shadowValue
+    }
+
+    // Blend gradient with background based on mask
+    output[idx] = Math.round(gradient[idx] * maskValue + r * (1 - maskValue))
+    output[idx + 1] = Math.round(gradient[idx + 1] * maskValue + g * (1 - maskValue))
+    output[idx + 2] = Math.round(gradient[idx + 2] * maskValue + b * (1 - maskValue))
+    output[idx + 3] = 255
+  }
+}
+
+/**
+ * Render one full frame
+ * `source` optionally replaces the gradient with RGBA media pixels.
+ * `scale` converts layout units to output pixels (see getLayoutScale), used
+ * to keep dither pixels and halftone cells consistent across resolutions.
+ */
+export function renderFrame({ width, height, mask, source, settings, rotation, scale = 1 }) {
+  const {
+    gradientType, gradientSpace, stops, bgColor, transparent, bgGradient, shadow,
+    algorithm, strength, ditherSize, colorLevels, ditherOptions
+  } = settings
+
+  // Step 1: Render gradient, or take the media source as the fill
+  let gradient
+  if (source) {
+    gradient = source
+  } else {
+    gradient = new Uint8ClampedArray(width * height * 4)
+    renderGradient(gradient, width, height, gradientType, stops, gradientSpace, rotation)
+  }
+
+  // Step 2: Composite gradient through mask over the shadow and background
+  // (reuses the gradient array). The background gradient turns the other
+  // way so it reads as a separate layer.
+  let background = null
+  if (bgGradient && !transparent) {
+    background = new Uint8ClampedArray(width * height * 4)
+    renderGradient(background, width, height, bgGradient.gradientType, bgGradient.stops, gradientSpace, -rotation)
+  }
+  const shadowLayer = shadow && {
+    mask: offsetMask(mask, width, height, shadow.x * scale, shadow.y * scale),
+    color: shadow.color
+  }
+  compositeGradientWithMask(gradient, mask, gradient, bgColor, { transparent, background, shadow: shadowLayer })
+
+  // Step 3: Apply dithering; pixel size is in layout units like the text,
+  // so every resolution gets the same dither grid
+  return applyDither(gradient, width, height, algorithm, strength, ditherSize * scale, colorLevels, {
+    ...ditherOptions,
+    cellSize: ditherOptions.cellSize * scale,
+    alpha: transparent,
+    time: rotation
+  })
+}
+
+/**
+ * Render a stack of layers ({ mask, source, settings }), bottom first
+ * The bottom layer is a normal frame over the background. Every layer
+ * above it is rendered with transparency (its alpha dithered like its
+ * colors) and blended onto the result with its blend mode.
+ */
+export function renderComposition({ width, height, layers, rotation, scale = 1 }) {
+  const [bottom, ...rest] = layers
+  const output = renderFrame({ width, height, ...bottom, rotation, scale })
+
+  rest.forEach(({ mask, source, settings }) => {
+    const pixels = renderFrame({
+      width,
+      height,
+      mask,
+      source,
+      settings: { ...settings, transparent: true, bgGradient: null },
+      rotation,
+      scale
+    })
+    blendLayer(output, pixels, settings.blend)
+  })
+
+  return output
+}
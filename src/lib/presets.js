@@ -0,0 +1,152 @@
+/**
+ * Project presets: versioned JSON, shareable URL hashes and a local library
+ */
+
+import { getCompositionControls, getLayerControls } from './layers.js'
+
+export const PRESET_VERSION = 2
+
+const PRESET_APP = 'gradient-dither'
+const LIBRARY_KEY = 'gradient-dither:presets'
+const HASH_PREFIX = '#preset='
+
+/**
+ * Snapshot the composition and its layer stack into a preset
+ * `settings` holds the shared flat Leva values and each layer its own;
+ * uploaded media and font files aren't included (a custom font family is
+ * kept by name only).
+ */
+export function createPreset(controls, rotation, layers) {
+  return {
+    app: PRESET_APP,
+    version: PRESET_VERSION,
+    settings: getCompositionControls(controls),
+    layers: layers.map(({ name, visible, solo, controls: layerControls }) => {
+      const { numColors, ...settings } = getLayerControls(layerControls)
+      return { name, visible, solo, settings, numColors }
+    }),
+    rotation
+  }
+}
+
+/**
+ * Turn a version 1 preset (one text, gradient and dither) into one layer
+ * Media used as the mask isn't saved, so those presets fall back to text.
+ */
+function upgradeV1Layer(settings, numColors) {
+  const mediaFill = settings.mediaRole === 'source'
+  return {
+    name: 'Layer 1',
+    settings: {
+      ...settings,
+      layerType: mediaFill && settings.textMask === false ? 'full' : 'text',
+      mediaFill
+    },
+    numColors
+  }
+}
+
+/**
+ * Validate a parsed preset object, upgrading older versions
+ */
+export function parsePreset(data) {
+  if (!data || data.app !== PRESET_APP || typeof data.settings !== 'object') {
+    throw new Error('Not a gradient-dither preset')
+  }
+  if (data.version > PRESET_VERSION) {
+    throw new Error(`Preset version ${data.version} is newer than this app supports (${PRESET_VERSION})`)
+  }
+
+  const layers = data.version >= 2 && Array.isArray(data.layers) && data.layers.length
+    ? data.layers
+    : [upgradeV1Layer(data.settings, data.numColors)]
+
+  return {
+    ...data,
+    version: PRESET_VERSION,
+    layers: layers.map((layer, i) => ({
+      name: String(layer.name || `Layer ${i + 1}`),
+      visible: layer.visible !== false,
+      solo: Boolean(layer.solo),
+      settings: layer.settings || {},
+      numColors: Math.min(8, Math.max(3, layer.numColors || 3))
+    })),
+    rotation: Number(data.rotation) || 0
+  }
+}
+
+/**
+ * Encode a preset as a URL-safe base64 hash
+ */
+export function encodePresetHash(preset) {
+  const bytes = new TextEncoder().encode(JSON.stringify(preset))
+  let binary = ''
+  bytes.forEach(b => { binary += String.fromCharCode(b) })
+
+  const base64 = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+  return HASH_PREFIX + base64
+}
+
+/**
+ * Decode a preset from a URL hash, or return null if the hash has none
+ */
+export function decodePresetHash(hash) {
+  if (!hash || !hash.startsWith(HASH_PREFIX)) return null
+
+  const base64 = hash.slice(HASH_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/')
+  const binary = atob(base64)
+  const bytes = Uint8Array.from(binary, c => c.charCodeAt(0))
+
+  return parsePreset(JSON.parse(new TextDecoder().decode(bytes)))
+}
+
+/**
+ * Render a small JPEG thumbnail from a canvas
+ */
+export function createThumbnail(canvas, size = 96) {
+  const scale = size / Math.max(canvas.width, canvas.height)
+  const thumb = document.createElement('canvas')
+  thumb.width = Math.round(canvas.width * scale)
+  thumb.height = Math.round(canvas.height * scale)
+  thumb.getContext('2d').drawImage(canvas, 0, 0, thumb.width, thumb.height)
+
+  return thumb.toDataURL('image/jpeg', 0.8)
+}
+
+/**
+ * Read the saved preset library from localStorage
+ */
+export function loadLibrary() {
+  try {
+    const entries = JSON.parse(localStorage.getItem(LIBRARY_KEY)) || []
+    return Array.isArray(entries) ? entries : []
+  } catch {
+    return []
+  }
+}
+
+function saveLibrary(entries) {
+  try {
+    localStorage.setItem(LIBRARY_KEY, JSON.stringify(entries))
+  } catch {
+    throw new Error('Browser storage is full - delete some saved presets first')
+  }
+  return entries
+}
+
+/**
+ * Add a preset to the library (replacing one with the same name)
+ * Returns the updated library.
+ */
+export function addToLibrary(name, preset, thumbnail) {
+  const entries = loadLibrary().filter(entry => entry.name !== name)
+  entries.unshift({ id: Date.now().toString(36), name, preset, thumbnail, savedAt: Date.now() })
+  return saveLibrary(entries)
+}
+
+/**
+ * Remove a preset from the library by id, returning the updated library
+ */
+export function removeFromLibrary(id) {
+  return saveLibrary(loadLibrary().filter(entry => entry.id !== id))
+}
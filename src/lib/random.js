@@ -0,0 +1,31 @@
+/**
+ * Seedable pseudo-random number generation
+ */
+
+/**
+ * Create a deterministic random generator (mulberry32)
+ * Returns a function yielding floats in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Combine a seed with another value into a new well-mixed 32-bit seed
+ */
+export function mixSeed(seed, value) {
+  let h = Math.imul(seed >>> 0, 0x9e3779b1) ^ (value >>> 0)
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b)
+  h ^= h >>> 13
+  h = Math.imul(h, 0xc2b2ae35)
+  h ^= h >>> 16
+  return h >>> 0
+}
@@ -0,0 +1,16 @@
+/**
+ * Web Worker running the render pipeline off the UI thread
+ */
+
+import { renderComposition } from './pipeline.js'
+
+self.onmessage = ({ data }) => {
+  const { id, ...job } = data
+
+  try {
+    const pixels = renderComposition(job)
+    self.postMessage({ id, pixels }, [pixels.buffer])
+  } catch (err) {
+    self.postMessage({ id, error: err.message })
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * Main-thread client for the render worker
+ */
+
+/**
+ * Create a renderer backed by a dedicated worker
+ * render() resolves with the dithered RGBA pixels for a job (see
+ * renderComposition); the mask and source buffers of its layers are
+ * transferred to the worker and can't be reused by the caller.
+ */
+export function createRenderer() {
+  const worker = new Worker(new URL('./render.worker.js', import.meta.url), { type: 'module' })
+  const jobs = new Map()
+  let nextId = 0
+
+  const rejectAll = (err) => {
+    jobs.forEach(({ reject }) => reject(err))
+    jobs.clear()
+  }
+
+  worker.onmessage = ({ data }) => {
+    const job = jobs.get(data.id)
+    if (!job) return
+    jobs.delete(data.id)
+
+    if (data.error) {
+      job.reject(new Error(data.error))
+    } else {
+      job.resolve(data.pixels)
+    }
+  }
+
+  worker.onerror = (event) => {
+    rejectAll(new Error(event.message || 'Render worker failed'))
+  }
+
+  return {
+    render(job) {
+      return new Promise((resolve, reject) => {
+        const id = nextId++
+        jobs.set(id, { resolve, reject })
+        const transfer = []
+        job.layers.forEach(({ mask, source }) => {
+          transfer.push(mask.buffer)
+          if (source) transfer.push(source.buffer)
+        })
+        worker.postMessage({ id, ...job }, transfer)
+      })
+    },
+
+    terminate() {
+      worker.terminate()
+      rejectAll(new Error('Renderer terminated'))
+    }
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Vector shape masks on a plain 2D canvas context
+ * Shapes are drawn as paths at the output size, so masks stay crisp at
+ * every resolution. Drawing only uses the standard 2D API; loading SVG
+ * files needs the browser DOM.
+ */
+
+export const SHAPES = ['circle', 'rect', 'polygon', 'star', 'svg']
+
+// Size of a shape at scale 1, in layout units
+const SHAPE_SIZE = 300
+
+/**
+ * Load an SVG file as a drawable vector image
+ * Width and height come from the viewBox when they're missing or relative,
+ * so the image has an intrinsic aspect ratio and rasterizes at whatever
+ * size it's drawn.
+ */
+export async function loadSVGFile(file) {
+  const doc = new DOMParser().parseFromString(await file.text(), 'image/svg+xml')
+  const svg = doc.documentElement
+  if (svg.nodeName !== 'svg' || doc.querySelector('parsererror')) {
+    throw new Error(`"${file.name}" is not a valid SVG file`)
+  }
+
+  const length = (name) => {
+    const value = svg.getAttribute(name)
+    return /^\s*[\d.]+\s*(px)?\s*$/.test(value || '') ? parseFloat(value) : 0
+  }
+  const viewBox = (svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number)
+
+  let width = length('width')
+  let height = length('height')
+  if (!(width > 0 && height > 0) && viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    width = viewBox[2]
+    height = viewBox[3]
+  }
+  if (!(width > 0 && height > 0)) {
+    throw new Error(`"${file.name}" has no size or viewBox`)
+  }
+
+  svg.setAttribute('width', width)
+  svg.setAttribute('height', height)
+  const blob = new Blob([new XMLSerializer().serializeToString(svg)], { type: 'image/svg+xml' })
+  const url = URL.createObjectURL(blob)
+
+  const image = new Image()
+  image.src = url
+  await image.decode().catch(() => {
+    URL.revokeObjectURL(url)
+    throw new Error(`Could not load SVG "${file.name}"`)
+  })
+
+  return { type: 'svg', element: image, width, height, url, name: file.name }
+}
+
+function roundedRect(ctx, size, corner) {
+  const half = size / 2
+  const r = Math.min(1, Math.max(0, corner)) * half
+
+  ctx.moveTo(-half + r, -half)
+  ctx.arcTo(half, -half, half, half, r)
+  ctx.arcTo(half, half, -half, half, r)
+  ctx.arcTo(-half, half, -half, -half, r)
+  ctx.arcTo(-half, -half, half, -half, r)
+  ctx.closePath()
+}
+
+// Regular polygon, or a star when `inner` (0-1) sets every other radius.
+// The first point faces up.
+function polygon(ctx, size, sides, inner = 1) {
+  const points = inner < 1 ? sides * 2 : sides
+  const radius = size / 2
+
+  for (let i = 0; i < points; i++) {
+    const r = i % 2 && inner < 1 ? radius * inner : radius
+    const a = -Math.PI / 2 + (i / points) * 2 * Math.PI
+    if (i === 0) ctx.moveTo(r * Math.cos(a), r * Math.sin(a))
+    else ctx.lineTo(r * Math.cos(a), r * Math.sin(a))
+  }
+  ctx.closePath()
+}
+
+// Fit the SVG into a size x size box and turn it into a white silhouette,
+// so its own colors don't matter, only its coverage
+function drawSVG(ctx, svg, size) {
+  const fit = size / Math.max(svg.width, svg.height)
+  const w = svg.width * fit
+  const h = svg.height * fit
+
+  ctx.drawImage(svg.element, -w / 2, -h / 2, w, h)
+  ctx.globalCompositeOperation = 'source-in'
+  ctx.fillStyle = '#fff'
+  ctx.fillRect(-w / 2, -h / 2, w, h)
+}
+
+/**
+ * Draw a white shape on black for the mask
+ * Position (`shapeX`, `shapeY`) is in layout units and multiplied by
+ * `scale` like the text; `shapeScale` and `shapeRotation` (degrees)
+ * transform the shape around its center. `svg` is a loaded SVG file,
+ * drawn for the 'svg' shape.
+ */
+export function drawShapeMask(ctx, ctrl, width, height, scale = 1, svg = null) {
+  const size = SHAPE_SIZE * scale
+
+  ctx.save()
+  ctx.clearRect(0, 0, width, height)
+  ctx.translate(width / 2 + (ctrl.shapeX ?? 0) * scale, height / 2 + (ctrl.shapeY ?? 0) * scale)
+  ctx.rotate((ctrl.shapeRotation ?? 0) * Math.PI / 180)
+  ctx.scale(ctrl.shapeScale ?? 1, ctrl.shapeScale ?? 1)
+  ctx.fillStyle = '#fff'
+  ctx.beginPath()
+
+  if (ctrl.shape === 'svg') {
+    if (svg) drawSVG(ctx, svg, size)
+  } else {
+    if (ctrl.shape === 'rect') roundedRect(ctx, size, ctrl.corners ?? 0)
+    else if (ctrl.shape === 'polygon') polygon(ctx, size, ctrl.sides ?? 6)
+    else if (ctrl.shape === 'star') polygon(ctx, size, ctrl.sides ?? 5, ctrl.innerRadius ?? 0.5)
+    else ctx.arc(0, 0, size / 2, 0, 2 * Math.PI)
+    ctx.fill()
+  }
+
+  // Black behind everything drawn
+  ctx.setTransform(1, 0, 0, 1, 0, 0)
+  ctx.globalCompositeOperation = 'destination-over'
+  ctx.fillStyle = '#000'
+  ctx.fillRect(0, 0, width, height)
+  ctx.restore()
+}
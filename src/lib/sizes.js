@@ -0,0 +1,35 @@
+/**
+ * Document (canvas) sizes and preview fitting
+ */
+
+// Document sizes in pixels, [width, height]
+export const CANVAS_PRESETS = {
+  '1:1': [1080, 1080],
+  '4:5': [1080, 1350],
+  '9:16': [1080, 1920],
+  '16:9': [1920, 1080],
+  '4K': [3840, 2160]
+}
+
+// Longest edge of the live preview in screen pixels
+const PREVIEW_MAX = 600
+
+/**
+ * Document size for the current controls ('custom' reads width/height)
+ */
+export function getCanvasSize(ctrl) {
+  const preset = CANVAS_PRESETS[ctrl.canvasSize]
+  if (preset) return { width: preset[0], height: preset[1] }
+  return { width: ctrl.canvasWidth, height: ctrl.canvasHeight }
+}
+
+/**
+ * Letterbox a document size into the preview, keeping its aspect ratio
+ */
+export function getPreviewSize({ width, height }) {
+  const fit = PREVIEW_MAX / Math.max(width, height)
+  return {
+    width: Math.max(1, Math.round(width * fit)),
+    height: Math.max(1, Math.round(height * fit))
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * Vector (SVG) conversion of dithered pixel grids
+ */
+
+const toHex = (r, g, b) => '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('')
+
+/**
+ * Collect same-colored rectangles from an RGBA pixel grid
+ * Horizontal runs of one color become one rect, and identical runs on
+ * consecutive rows are merged into a single taller rect. Transparent
+ * pixels are left out.
+ * Returns a Map of hex color -> [{ x, y, w, h }].
+ */
+function collectRects(pixels, width, height) {
+  const rects = new Map()
+  let open = new Map()
+
+  for (let y = 0; y < height; y++) {
+    const next = new Map()
+    let x = 0
+
+    while (x < width) {
+      const idx = 4 * (y * width + x)
+      const r = pixels[idx]
+      const g = pixels[idx + 1]
+      const b = pixels[idx + 2]
+      const clear = pixels[idx + 3] === 0
+
+      // Extend the run while the color (or transparency) stays the same
+      let end = x + 1
+      while (end < width) {
+        const j = 4 * (y * width + end)
+        if (clear ? pixels[j + 3] !== 0 : pixels[j + 3] === 0 || pixels[j] !== r || pixels[j + 1] !== g || pixels[j + 2] !== b) break
+        end++
+      }
+
+      const color = toHex(r, g, b)
+      if (!clear) {
+        const key = `${x},${end},${color}`
+        const above = open.get(key)
+
+        if (above) {
+          above.h++
+          next.set(key, above)
+        } else {
+          const rect = { x, y, w: end - x, h: 1 }
+          if (!rects.has(color)) rects.set(color, [])
+          rects.get(color).push(rect)
+          next.set(key, rect)
+        }
+      }
+
+      x = end
+    }
+
+    open = next
+  }
+
+  return rects
+}
+
+/**
+ * Pick one pixel per grid cell from an image upscaled from that grid
+ * Samples the first pixel that nearest-neighbor upscaling assigned to each
+ * cell, so every cell comes back exactly, even when cells are a fractional
+ * number of pixels wide.
+ */
+export function sampleCells(pixels, width, height, gridWidth, gridHeight) {
+  const grid = new Uint8ClampedArray(gridWidth * gridHeight * 4)
+
+  for (let y = 0; y < gridHeight; y++) {
+    const srcY = Math.min(height - 1, Math.ceil(y * height / gridHeight))
+
+    for (let x = 0; x < gridWidth; x++) {
+      const srcX = Math.min(width - 1, Math.ceil(x * width / gridWidth))
+      const srcIdx = 4 * (srcY * width + srcX)
+      grid.set(pixels.subarray(srcIdx, srcIdx + 4), 4 * (y * gridWidth + x))
+    }
+  }
+
+  return grid
+}
+
+/**
+ * Convert an RGBA pixel grid to an SVG document string
+ * Coordinates are in grid cells; the viewBox stretches the grid to the
+ * output size, so every cell is one unit however many pixels it covers.
+ *
+ * options.outputWidth / options.outputHeight - SVG size (default: the grid)
+ * options.mode - 'paths' (one path per color) or 'rects' (one rect per run)
+ * options.background - hex color drawn as one full-size rect under the
+ *   cells, showing through the transparent ones
+ */
+export function pixelsToSVG(pixels, width, height, options = {}) {
+  const { outputWidth = width, outputHeight = height, mode = 'paths', background = null } = options
+
+  const rects = collectRects(pixels, width, height)
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${outputWidth}" height="${outputHeight}" ` +
+    `viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" shape-rendering="crispEdges">`
+  ]
+
+  if (background) {
+    parts.push(`<rect width="${width}" height="${height}" fill="${background}"/>`)
+  }
+
+  rects.forEach((list, color) => {
+    if (mode === 'rects') {
+      parts.push(`<g fill="${color}">`)
+      list.forEach(({ x, y, w, h }) => {
+        parts.push(`<rect x="${x}" y="${y}" width="${w}" height="${h}"/>`)
+      })
+      parts.push('</g>')
+    } else {
+      const d = list.map(({ x, y, w, h }) => `M${x} ${y}h${w}v${h}h${-w}z`).join('')
+      parts.push(`<path fill="${color}" d="${d}"/>`)
+    }
+  })
+
+  parts.push('</svg>')
+  return parts.join('\n')
+}
@@ -0,0 +1,64 @@
+/**
+ * Text mask layout on a plain 2D canvas context
+ * Only uses the standard CanvasRenderingContext2D API, so the same layout
+ * runs on p5 buffers in the browser and on a Node canvas in the CLI.
+ */
+
+/**
+ * Draw white text on black for the mask
+ * Sizes are in preview pixels and multiplied by `scale`, so exports
+ * lay out exactly like the preview. Tracking is in 1/1000 em and
+ * leading is a multiple of the font size. `ctrl.maskMode` 'inverted'
+ * swaps the colors and 'outline' strokes the glyphs `strokeWidth` wide.
+ */
+export function drawTextMask(ctx, ctrl, width, height, scale = 1) {
+  const fontSize = ctrl.fontSize * scale
+  const tracking = (ctrl.tracking / 1000) * fontSize
+  const lineHeight = ctrl.leading * fontSize
+  const inverted = ctrl.maskMode === 'inverted'
+
+  ctx.save()
+  ctx.fillStyle = inverted ? '#fff' : '#000'
+  ctx.fillRect(0, 0, width, height)
+  ctx.fillStyle = inverted ? '#000' : '#fff'
+  ctx.strokeStyle = '#fff'
+  ctx.lineWidth = (ctrl.strokeWidth ?? 4) * scale
+  ctx.lineJoin = 'round'
+  ctx.font = `${fontSize}px "${ctrl.fontFamily}"`
+  ctx.textAlign = 'left'
+  ctx.textBaseline = 'middle'
+
+  const lines = ctrl.content.split('\n')
+
+  // Prefix widths keep the font's kerning when tracking is applied
+  const textWidth = (text) => ctx.measureText(text).width
+  const lineWidth = (line) => textWidth(line) + tracking * Math.max(0, line.length - 1)
+  const widths = lines.map(lineWidth)
+  const blockWidth = Math.max(...widths)
+
+  const draw = ctrl.maskMode === 'outline'
+    ? (text, x, y) => ctx.strokeText(text, x, y)
+    : (text, x, y) => ctx.fillText(text, x, y)
+
+  const cx = width / 2 + ctrl.offsetX * scale
+  const cy = height / 2 + ctrl.offsetY * scale
+
+  lines.forEach((line, i) => {
+    let x = cx - widths[i] / 2
+    if (ctrl.align === 'left') x = cx - blockWidth / 2
+    if (ctrl.align === 'right') x = cx + blockWidth / 2 - widths[i]
+
+    const y = cy + (i - (lines.length - 1) / 2) * lineHeight
+
+    if (tracking === 0) {
+      draw(line, x, y)
+      return
+    }
+
+    for (let c = 0; c < line.length; c++) {
+      draw(line[c], x + textWidth(line.slice(0, c)) + tracking * c, y)
+    }
+  })
+
+  ctx.restore()
+}
@@ -0,0 +1,91 @@
+/**
+ * Minimal in-browser ZIP writer
+ * Entries are stored uncompressed: the PNGs going in are already deflated.
+ */
+
+import { crc32 } from './crc32.js'
+
+// DOS date/time fields for an entry's modification time
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1)
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  return { time, day }
+}
+
+// ZIP (not ZIP64) sizes and offsets are 32-bit, and entry counts 16-bit
+const MAX_ZIP_SIZE = 0xffffffff
+const MAX_ZIP_ENTRIES = 0xffff
+
+/**
+ * Write a ZIP archive one entry at a time
+ * `add(name, data)` takes data as a Uint8Array and wraps the entry in a
+ * Blob straight away, so the caller can drop its bytes and the browser is
+ * free to keep the archive out of memory. `finish()` returns the archive.
+ */
+export function createZipWriter() {
+  const encoder = new TextEncoder()
+  const { time, day } = dosDateTime(new Date())
+  const parts = []
+  const central = []
+  let offset = 0
+
+  const add = (name, data) => {
+    const nameBytes = encoder.encode(name)
+    const size = 30 + nameBytes.length + data.length
+    if (parts.length === MAX_ZIP_ENTRIES) {
+      throw new Error(`A ZIP can't hold more than ${MAX_ZIP_ENTRIES} files. Lower the duration or fps.`)
+    }
+    if (offset + size > MAX_ZIP_SIZE) {
+      throw new Error('The ZIP would be larger than 4 GB. Lower the scale or duration.')
+    }
+    const crc = crc32(data)
+
+    // Local file header (flag 0x0800: UTF-8 file names)
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)
+    local.setUint16(4, 20, true)
+    local.setUint16(6, 0x0800, true)
+    local.setUint16(8, 0, true)
+    local.setUint16(10, time, true)
+    local.setUint16(12, day, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, nameBytes.length, true)
+    local.setUint16(28, 0, true)
+
+    // Central directory record pointing back at the local header
+    const record = new DataView(new ArrayBuffer(46))
+    record.setUint32(0, 0x02014b50, true)
+    record.setUint16(4, 20, true)
+    record.setUint16(6, 20, true)
+    record.setUint16(8, 0x0800, true)
+    record.setUint16(10, 0, true)
+    record.setUint16(12, time, true)
+    record.setUint16(14, day, true)
+    record.setUint32(16, crc, true)
+    record.setUint32(20, data.length, true)
+    record.setUint32(24, data.length, true)
+    record.setUint16(28, nameBytes.length, true)
+    record.setUint32(42, offset, true)
+
+    parts.push(new Blob([local, nameBytes, data]))
+    central.push(record, nameBytes)
+    offset += size
+  }
+
+  const finish = () => {
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0)
+
+    const end = new DataView(new ArrayBuffer(22))
+    end.setUint32(0, 0x06054b50, true)
+    end.setUint16(8, parts.length, true)
+    end.setUint16(10, parts.length, true)
+    end.setUint32(12, centralSize, true)
+    end.setUint32(16, offset, true)
+
+    return new Blob([...parts, ...central, end], { type: 'application/zip' })
+  }
+
+  return { add, finish }
+}
@@ -0,0 +1,35 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { getExportTiming, ANIMATION_CYCLE, MAX_EXPORT_DURATION } from '../src/lib/animation.js'
+
+const fps = 30
+
+test('perfect loops snap to whole cycles', () => {
+  const rate = ANIMATION_CYCLE / 2
+  const { frames, rotationStep, duration, loop } = getExportTiming({ duration: 3, fps, rate, perfectLoop: true })
+  assert.ok(loop)
+  assert.equal(duration, 4)
+  assert.ok(Math.abs(frames * rotationStep - 2 * ANIMATION_CYCLE) < 1e-9)
+})
+
+test('perfect loops never snap past the longest duration', () => {
+  const rate = ANIMATION_CYCLE / 6
+  const timing = getExportTiming({ duration: MAX_EXPORT_DURATION, fps, rate, perfectLoop: true })
+  assert.ok(timing.loop)
+  assert.equal(timing.duration, 6)
+})
+
+test('cycles too long to loop keep the duration as set', () => {
+  const rate = ANIMATION_CYCLE / 52
+  const timing = getExportTiming({ duration: 3, fps, rate, perfectLoop: true })
+  assert.equal(timing.loop, false)
+  assert.equal(timing.duration, 3)
+  assert.equal(timing.rotationStep, rate / fps)
+})
+
+test('longer requested durations raise the loop limit', () => {
+  const rate = ANIMATION_CYCLE / 20
+  const timing = getExportTiming({ duration: 30, fps, rate, perfectLoop: true })
+  assert.ok(timing.loop)
+  assert.equal(timing.duration, 20)
+})
@@ -0,0 +1,65 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { applyDither, HALFTONE_ALGORITHMS } from '../src/lib/dithering.js'
+import { srgbToLinear } from '../src/lib/color.js'
+
+const SIZE = 64
+
+function grayImage(value) {
+  const pixels = new Uint8ClampedArray(SIZE * SIZE * 4).fill(value)
+  for (let i = 3; i < pixels.length; i += 4) pixels[i] = 255
+  return pixels
+}
+
+function meanLinear(pixels) {
+  let sum = 0
+  for (let i = 0; i < pixels.length; i += 4) sum += srgbToLinear(pixels[i])
+  return sum / (pixels.length / 4)
+}
+
+const options = { linear: true, grayscale: true, ink: '#000000', paper: '#ffffff' }
+
+for (const levels of [2, 3, 4, 8]) {
+  test(`linear grayscale keeps mean light at ${levels} levels`, () => {
+    for (const gray of [64, 128, 200]) {
+      const output = applyDither(grayImage(gray), SIZE, SIZE, 'floyd-steinberg', 1, 1, levels, options)
+      const target = srgbToLinear(gray)
+      assert.ok(
+        Math.abs(meanLinear(output) - target) < 0.02,
+        `gray ${gray}: mean ${meanLinear(output).toFixed(3)}, expected ${target.toFixed(3)}`
+      )
+    }
+  })
+}
+
+const paletteOptions = { linear: true, palette: ['#000000', '#ffffff'] }
+
+for (const algorithm of ['bayer', 'random']) {
+  test(`linear ${algorithm} with a palette keeps mean light`, () => {
+    for (const gray of [64, 128, 200]) {
+      const output = applyDither(grayImage(gray), SIZE, SIZE, algorithm, 1, 1, 2, paletteOptions)
+      const target = srgbToLinear(gray)
+      assert.ok(
+        Math.abs(meanLinear(output) - target) < 0.03,
+        `gray ${gray}: mean ${meanLinear(output).toFixed(3)}, expected ${target.toFixed(3)}`
+      )
+    }
+  })
+}
+
+const halftoneOptions = { grayscale: true, ink: '#000000', paper: '#ffffff', cellSize: 16, angle: 45 }
+
+for (const algorithm of HALFTONE_ALGORITHMS) {
+  test(`${algorithm} covers as much of each cell as the intensity`, () => {
+    for (const gray of [32, 64, 128, 200]) {
+      const output = applyDither(grayImage(gray), SIZE, SIZE, algorithm, 1, 1, 2, halftoneOptions)
+      let on = 0
+      for (let i = 0; i < output.length; i += 4) on += output[i] === 255
+      const coverage = on / (SIZE * SIZE)
+      assert.ok(
+        Math.abs(coverage - gray / 255) < 0.03,
+        `gray ${gray}: coverage ${coverage.toFixed(3)}, expected ${(gray / 255).toFixed(3)}`
+      )
+    }
+  })
+}